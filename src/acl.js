@@ -0,0 +1,57 @@
+const minimatch = require("minimatch")
+
+const PERMISSIONS = ["read", "write"]
+
+/*
+  Grants permissions to identities based on rules like
+
+    { "identities": ["ci-*"], "branches": ["master"], "paths": ["dir/**"], "permissions": ["read"] }
+
+  Identity, branch and path patterns are globs. Rules without branches or paths apply to all
+  of them. Requests without identity are matched as "anonymous". Without rules, every
+  authenticated identity has all permissions.
+*/
+module.exports = class Acl {
+  constructor(rules = [{ identities: ["*"], permissions: PERMISSIONS }]) {
+    rules.forEach(({ permissions = [] }, index) => {
+      permissions.forEach(permission => {
+        if (!PERMISSIONS.includes(permission)) {
+          throw new Error(`Invalid permission '${permission}' in ACL rule ${index}`)
+        }
+      })
+    })
+
+    this.rules = rules
+  }
+
+  isAllowed(identity, permission, version, path) {
+    const id = identity ? identity.id : "anonymous"
+
+    return this.rules.some(({ identities = [], branches, paths, permissions = [] }) =>
+      permissions.includes(permission) &&
+      identities.some(pattern => matchesIdentity(id, identity, pattern)) &&
+      (!branches || matchesAny(version, branches)) &&
+      (!paths || matchesAny(path, paths))
+    )
+  }
+
+  /*
+    Throws an error with status 401 for missing identities and 403 for authenticated ones.
+  */
+  check(identity, permission, version, path) {
+    if (!this.isAllowed(identity, permission, version, path)) {
+      const error = new Error(identity ? "Forbidden" : "Unauthorized")
+      error.httpCode = identity ? 403 : 401
+      throw error
+    }
+  }
+}
+
+function matchesIdentity(id, identity, pattern) {
+  // patterns like "*" only match authenticated identities
+  return identity ? minimatch(id, pattern) : pattern === id
+}
+
+function matchesAny(value, patterns) {
+  return patterns.some(pattern => minimatch(value, pattern))
+}
@@ -0,0 +1,56 @@
+const jwt = require("jsonwebtoken")
+
+/*
+  Returns a middleware which sets the identity in `response.locals` based on the bearer token
+  in the Authorization header. A token is either one of the static API tokens or a JWT
+  verified with the given key. Requests without a token have no identity, invalid tokens are
+  rejected.
+
+  Identities contain an id used in the ACL and the name and e-mail used for commits.
+*/
+module.exports.authenticate = function authenticate({ tokens = {}, jwtKey, jwtAlgorithms }) {
+  const authenticators = [getTokenIdentity.bind(null, tokens)]
+
+  if (jwtKey) {
+    authenticators.push(getJwtIdentity.bind(null, jwtKey, jwtAlgorithms))
+  }
+
+  return (request, response, next) => {
+    const authorization = request.get("Authorization")
+
+    if (!authorization) {
+      return next()
+    }
+
+    const [scheme, token] = authorization.split(" ")
+
+    if (scheme === "Bearer" && token) {
+      for (const authenticator of authenticators) {
+        const identity = authenticator(token)
+
+        if (identity) {
+          Object.assign(response.locals, { identity })
+          return next()
+        }
+      }
+    }
+
+    response.status(401).json({ error: "Invalid credentials" })
+  }
+}
+
+function getTokenIdentity(tokens, token) {
+  if (Object.prototype.hasOwnProperty.call(tokens, token)) {
+    const { id, name = id, email } = tokens[token]
+    return { id, name, email }
+  }
+}
+
+function getJwtIdentity(key, algorithms, token) {
+  try {
+    const { sub, name = sub, email } = jwt.verify(token, key, { algorithms })
+    return sub ? { id: sub, name, email } : undefined
+  } catch (error) {
+    return undefined
+  }
+}
@@ -1,29 +1,152 @@
-const JSON5 = require("json5")
 const get = require("lodash.get")
 const mapKeys = require("lodash.mapkeys")
 const Path = require("path")
 const pickBy = require("lodash.pickby")
-const set = require("lodash.set")
+
+const {
+  getExtension,
+  isFormatFile,
+  isSchemaFile,
+  parse,
+  removeExtension,
+  SCHEMA_SUFFIX
+} = require("./formats")
+const { isObject } = require("./json")
+const LRU = require("./lru")
+const { applyOverlay } = require("./overlay")
+
+const OVERLAYS_PATH = "overlays"
+const MAX_OVERLAY_OBJECTS = 10
+
+class CacheEntry {
+  constructor(commitHash, object, files, schemas) {
+    this.commitHash = commitHash
+    this.object = object
+    this.files = files
+    this.schemas = schemas
+    this.overlayObjects = new LRU(MAX_OVERLAY_OBJECTS)
+  }
+
+  getCommitHash() {
+    return this.commitHash
+  }
+
+  getObject(path, overlay) {
+    const object = typeof overlay === "undefined" ? this.object : this.getOverlayObject(overlay)
+
+    if (path === "") {
+      return object
+    } else {
+      const result = get(object, path.split(Path.sep))
+
+      if (typeof result === "undefined") {
+        const error = new Error("Not found")
+        error.httpCode = 404
+        throw error
+      }
+
+      return result
+    }
+  }
+
+  /*
+    Returns the data without overlays merged with the overlay directory of the given name.
+    The results of the most recently requested overlays are kept per commit.
+  */
+  getOverlayObject(name) {
+    if (!this.overlayObjects.has(name)) {
+      const overlay = get(this.object, [OVERLAYS_PATH, name])
+
+      if (!isObject(overlay)) {
+        const error = new Error(`Overlay not found: '${name}'`)
+        error.httpCode = 404
+        throw error
+      }
+
+      const { [OVERLAYS_PATH]: overlays, ...base } = this.object
+      this.overlayObjects.set(name, applyOverlay(base, overlay))
+    }
+
+    return this.overlayObjects.get(name)
+  }
+
+  getFiles(path) {
+    if (path === "") {
+      return this.files
+    } else {
+      const files = pickBy(this.files, (data, file) => file.startsWith(`${path}${Path.sep}`))
+
+      if (Object.keys(files).length === 0) {
+        const error = new Error("Not found")
+        error.httpCode = 404
+        throw error
+      } else {
+        return mapKeys(files, (data, file) => file.substr(path.length + 1))
+      }
+    }
+  }
+
+  /*
+    Returns all files which contain data of the given path.
+  */
+  getFilesForPath(path) {
+    const files = pickBy(this.files, (data, file) => path === "" ||
+      file === path ||
+      file.startsWith(`${path}${Path.sep}`) ||
+      path.startsWith(`${file}${Path.sep}`)
+    )
+
+    if (Object.keys(files).length === 0) {
+      const error = new Error("Not found")
+      error.httpCode = 404
+      throw error
+    }
+
+    return files
+  }
+
+  getSchema(file) {
+    return this.schemas[file]
+  }
+}
 
 /*
-  Only caches data and files of the last requested commit.
+  Caches data and files of the most recently requested commits.
+  Parsed file contents are shared between commits by blob id, so only changed files
+  have to be parsed when a new commit is requested.
+  Files are parsed according to their extension. Schema files like "file.schema.json" contain
+  the JSON schema of the same-name data file.
 */
 module.exports = class Cache {
-  constructor() {
-    this.commitHash = null
-    this.object = {}
-    this.files = {}
+  constructor({ maxCommits = 10, maxBlobSize = 50 * 1024 * 1024 } = {}) {
+    this.commits = new LRU(maxCommits)
+    this.blobs = new LRU(maxBlobSize, ({ size }) => size)
+    this.pendingEntries = new Map()
   }
 
-  async update(commit) {
-    if (commit.sha() !== this.commitHash) {
-      const fileEntries = await this.getFileEntries(commit)
-      const { object, files } = await this.buildData(fileEntries)
+  async get(commit) {
+    const commitHash = commit.sha()
+
+    if (this.commits.has(commitHash)) {
+      return this.commits.get(commitHash)
+    }
 
-      this.commitHash = commit.sha()
-      this.object = object
-      this.files = files
+    // concurrent requests for the same commit wait for the same entry
+    if (!this.pendingEntries.has(commitHash)) {
+      this.pendingEntries.set(commitHash, this.createEntry(commit)
+        .finally(() => this.pendingEntries.delete(commitHash)))
     }
+
+    return this.pendingEntries.get(commitHash)
+  }
+
+  async createEntry(commit) {
+    const fileEntries = await this.getFileEntries(commit)
+    const { object, files, schemas } = await this.buildData(fileEntries)
+    const entry = new CacheEntry(commit.sha(), object, files, schemas)
+
+    this.commits.set(commit.sha(), entry)
+    return entry
   }
 
   async getFileEntries(commit) {
@@ -32,7 +155,7 @@ module.exports = class Cache {
       const files = []
       tree.walk(true)
         .on("entry", entry => {
-          if (entry.isFile() && entry.name().endsWith(".json")) {
+          if (entry.isFile() && isFormatFile(entry.path())) {
             files.push(entry)
           }
         })
@@ -45,64 +168,61 @@ module.exports = class Cache {
   async buildData(fileEntries) {
     const object = {}
     const files = {}
+    const schemas = {}
+    const createdObjects = new WeakSet([object])
 
     // fileEntries are ordered breadth-first.
     // therefore subsequent entries with the same path override previous entries
     for (const entry of fileEntries) {
-      const blob = await entry.getBlob()
-      const content = new TextDecoder("utf-8").decode(blob.content())
-      const expandedContent = process.env.BACKEND_HOST
-        ? content.replace(/\${backendHost}/g, process.env.BACKEND_HOST)
-        : content
+      const fileData = await this.getFileData(entry)
 
-      const fileData = JSON5.parse(expandedContent)
-      const filepath = removeFileExtension(entry.path())
+      if (isSchemaFile(entry.path())) {
+        schemas[removeExtension(entry.path()).slice(0, -SCHEMA_SUFFIX.length)] = fileData
+      } else {
+        const filepath = removeExtension(entry.path())
 
-      files[filepath] = fileData
-      set(object, filepath.split(Path.sep), fileData)
+        files[filepath] = fileData
+        setFileData(object, filepath.split(Path.sep), fileData, createdObjects)
+      }
     }
 
-    return { object, files }
-  }
-
-  getCommitHash() {
-    return this.commitHash
+    return { object, files, schemas }
   }
 
-  getObject(path) {
-    if (path === "") {
-      return this.object
-    } else {
-      const result = get(this.object, path.split(Path.sep))
+  async getFileData(entry) {
+    // equal content is parsed differently depending on the extension
+    const blobId = `${entry.sha()}${getExtension(entry.path())}`
 
-      if (typeof result === "undefined") {
-        const error = new Error("Not found")
-        error.httpCode = 404
-        throw error
-      }
+    if (!this.blobs.has(blobId)) {
+      const blob = await entry.getBlob()
+      const content = new TextDecoder("utf-8").decode(blob.content())
 
-      return result
+      this.blobs.set(blobId, {
+        data: parse(entry.path(), content),
+        size: blob.rawsize()
+      })
     }
-  }
 
-  getFiles(path) {
-    if (path === "") {
-      return this.files
-    } else {
-      const files = pickBy(this.files, (data, file) => file.startsWith(`${path}${Path.sep}`))
+    return this.blobs.get(blobId).data
+  }
+}
 
-      if (Object.keys(files).length === 0) {
-        const error = new Error("Not found")
-        error.httpCode = 404
-        throw error
-      } else {
-        return mapKeys(files, (data, file) => file.substr(path.length + 1))
-      }
+/*
+  File data is shared between commits and must not be modified.
+  Therefore it is copied before nested file data is set into it.
+*/
+function setFileData(object, keys, fileData, createdObjects) {
+  let node = object
+
+  for (const key of keys.slice(0, -1)) {
+    if (!createdObjects.has(node[key])) {
+      const copy = isObject(node[key]) ? { ...node[key] } : {}
+      createdObjects.add(copy)
+      node[key] = copy
     }
+
+    node = node[key]
   }
-}
 
-function removeFileExtension(path) {
-  const { dir, name } = Path.parse(path)
-  return Path.join(dir, name)
+  node[keys[keys.length - 1]] = fileData
 }
@@ -0,0 +1,34 @@
+const isEqual = require("lodash.isequal")
+
+const { isObject, toPointer } = require("./json")
+
+/*
+  Returns the JSON pointers of all nodes which were added, removed or changed between the old
+  and the new data along with their values. Objects are compared per property, all other
+  values as a whole.
+*/
+module.exports.diffData = function diffData(oldData, newData, keys = []) {
+  if (isEqual(oldData, newData)) {
+    return []
+  }
+
+  const path = toPointer(keys)
+
+  if (typeof oldData === "undefined") {
+    return [{ type: "added", path, newValue: newData }]
+  }
+
+  if (typeof newData === "undefined") {
+    return [{ type: "removed", path, oldValue: oldData }]
+  }
+
+  if (isObject(oldData) && isObject(newData)) {
+    const propertyKeys = new Set([...Object.keys(oldData), ...Object.keys(newData)])
+
+    return [...propertyKeys].reduce((changes, key) => changes.concat(
+      diffData(oldData[key], newData[key], [...keys, key])
+    ), [])
+  }
+
+  return [{ type: "changed", path, oldValue: oldData, newValue: newData }]
+}
@@ -0,0 +1,79 @@
+const yaml = require("js-yaml")
+const JSON5 = require("json5")
+
+const DEFAULT_EXTENSION = ".json"
+const SCHEMA_SUFFIX = ".schema"
+
+/*
+  Registry of the formats data files are parsed and serialized with, keyed by file extension.
+  Files with other extensions are ignored, as well as hidden files and directories like
+  ".gitlab-ci.yml" or ".github", which usually configure tools. Schema files have the suffix
+  ".schema" before the extension, e.g. "file.schema.json".
+*/
+const formats = new Map()
+
+module.exports.DEFAULT_EXTENSION = DEFAULT_EXTENSION
+module.exports.SCHEMA_SUFFIX = SCHEMA_SUFFIX
+
+module.exports.registerFormat = function registerFormat(extension, { parse, serialize }) {
+  formats.set(extension, { parse, serialize })
+}
+
+module.exports.getExtensions = function getExtensions() {
+  return [...formats.keys()]
+}
+
+module.exports.getExtension = getExtension
+
+module.exports.isFormatFile = isFormatFile
+
+module.exports.isDataFile = function isDataFile(path) {
+  return isFormatFile(path) && !isSchemaFile(path)
+}
+
+module.exports.isSchemaFile = isSchemaFile
+
+module.exports.removeExtension = removeExtension
+
+module.exports.parse = function parse(path, content) {
+  return formats.get(getExtension(path)).parse(content)
+}
+
+module.exports.serialize = function serialize(path, data) {
+  return formats.get(getExtension(path)).serialize(data)
+}
+
+function getExtension(path) {
+  return [...formats.keys()].find(extension => path.endsWith(extension))
+}
+
+function isFormatFile(path) {
+  return Boolean(getExtension(path)) && !path.split("/").some(name => name.startsWith("."))
+}
+
+function isSchemaFile(path) {
+  return isFormatFile(path) && removeExtension(path).endsWith(SCHEMA_SUFFIX)
+}
+
+function removeExtension(path) {
+  const extension = getExtension(path)
+  return extension ? path.slice(0, -extension.length) : path
+}
+
+// JSON files have always been parsed leniently
+module.exports.registerFormat(".json", {
+  parse: content => JSON5.parse(content),
+  serialize: data => `${JSON.stringify(data, null, 2)}\n`
+})
+
+module.exports.registerFormat(".json5", {
+  parse: content => JSON5.parse(content),
+  serialize: data => `${JSON5.stringify(data, null, 2)}\n`
+})
+
+for (const extension of [".yaml", ".yml"]) {
+  module.exports.registerFormat(extension, {
+    parse: content => yaml.safeLoad(content),
+    serialize: data => yaml.safeDump(data)
+  })
+}
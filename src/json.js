@@ -0,0 +1,29 @@
+module.exports.isObject = function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+}
+
+/*
+  Reads and writes own properties only, so keys like "__proto__" of parsed JSON are treated as
+  data instead of changing the prototype.
+*/
+module.exports.getOwnProperty = function getOwnProperty(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined
+}
+
+module.exports.setOwnProperty = function setOwnProperty(object, key, value) {
+  Object.defineProperty(object, key, {
+    configurable: true,
+    enumerable: true,
+    value,
+    writable: true
+  })
+}
+
+// RFC 6901
+module.exports.toPointer = function toPointer(keys) {
+  return keys.map(key => `/${key.replace(/~/g, "~0").replace(/\//g, "~1")}`).join("")
+}
+
+module.exports.fromPointer = function fromPointer(pointer) {
+  return pointer.split("/").slice(1).map(key => key.replace(/~1/g, "/").replace(/~0/g, "~"))
+}
@@ -1,25 +1,56 @@
+/*
+  Reader/writer lock. Shared locks can be held concurrently, an exclusive lock is held alone.
+  Locks are granted in request order, so waiting exclusive locks are not starved by readers.
+*/
 module.exports = class Lock {
   constructor() {
     this.isLocked = false
+    this.sharedCount = 0
     this.queue = []
   }
 
   lock() {
-    if (this.isLocked) {
-      return new Promise(resolve => this.queue.push(resolve))
+    if (this.isLocked || this.sharedCount > 0 || this.queue.length > 0) {
+      return new Promise(resolve => this.queue.push({ shared: false, resolve }))
     } else {
       this.isLocked = true
       return Promise.resolve()
     }
   }
 
+  lockShared() {
+    if (this.isLocked || this.queue.length > 0) {
+      return new Promise(resolve => this.queue.push({ shared: true, resolve }))
+    } else {
+      this.sharedCount++
+      return Promise.resolve()
+    }
+  }
+
   unlock() {
-    const resolveNext = this.queue.shift()
+    this.isLocked = false
+    this.resolveNext()
+  }
 
-    if (resolveNext) {
-      resolveNext()
-    } else {
-      this.isLocked = false
+  unlockShared() {
+    this.sharedCount--
+    this.resolveNext()
+  }
+
+  resolveNext() {
+    while (this.queue.length > 0 && !this.isLocked) {
+      const { shared, resolve } = this.queue[0]
+
+      if (shared) {
+        this.sharedCount++
+      } else if (this.sharedCount === 0) {
+        this.isLocked = true
+      } else {
+        break
+      }
+
+      this.queue.shift()
+      resolve()
     }
   }
 }
@@ -0,0 +1,51 @@
+/*
+  Least recently used map which evicts entries once the summed size of all entries
+  exceeds the given maximum. The size of an entry defaults to 1.
+*/
+module.exports = class LRU {
+  constructor(maxSize, sizeOf = () => 1) {
+    this.maxSize = maxSize
+    this.sizeOf = sizeOf
+    this.size = 0
+    this.entries = new Map()
+  }
+
+  has(key) {
+    return this.entries.has(key)
+  }
+
+  get(key) {
+    if (this.entries.has(key)) {
+      const entry = this.entries.get(key)
+
+      // move to the end of the insertion order
+      this.entries.delete(key)
+      this.entries.set(key, entry)
+
+      return entry.value
+    }
+  }
+
+  set(key, value) {
+    this.delete(key)
+
+    const size = this.sizeOf(value)
+    this.entries.set(key, { value, size })
+    this.size += size
+
+    for (const [oldestKey] of this.entries) {
+      if (this.size <= this.maxSize || this.entries.size === 1) {
+        break
+      }
+
+      this.delete(oldestKey)
+    }
+  }
+
+  delete(key) {
+    if (this.entries.has(key)) {
+      this.size -= this.entries.get(key).size
+      this.entries.delete(key)
+    }
+  }
+}
@@ -1,10 +1,17 @@
 const bodyParser = require("body-parser")
 const Logger = require("bunyan")
+const compression = require("compression")
 const cors = require("cors")
 const express = require("express")
+const fse = require("fs-extra")
 
+const Acl = require("./acl")
+const { authenticate } = require("./auth")
 const Repo = require("./repo")
 const routes = require("./routes")
+const { createCommitSigner } = require("./signing")
+const { readPrefixedVariables } = require("./variables")
+const Webhooks = require("./webhooks")
 
 const app = express()
 
@@ -15,19 +22,93 @@ const log = Logger.createLogger({
 })
 const port = process.env.PORT || 3000
 const repoUri = process.env.REPO_URI
+const fetchPollInterval = parseInt(process.env.FETCH_POLL_INTERVAL, 10)
+const fetchInterval = parseInt(process.env.FETCH_INTERVAL, 10) || (fetchPollInterval ? Infinity : 0)
+const authTokensFile = process.env.AUTH_TOKENS_FILE
+const authJwtKeyFile = process.env.AUTH_JWT_KEY_FILE
+const aclFile = process.env.ACL_FILE
+const variablesFile = process.env.VARIABLES_FILE
 
 if (!repoUri) {
   log.fatal("REPO environment variable must be set")
   process.exit(1)
 }
 
-const repo = new Repo(repoUri, "./.repo")
+const repo = new Repo(repoUri, "./.repo", {
+  cache: {
+    maxCommits: parseInt(process.env.CACHE_MAX_COMMITS, 10) || undefined,
+    maxBlobSize: parseInt(process.env.CACHE_MAX_BLOB_SIZE, 10) || undefined
+  },
+  committer: process.env.COMMITTER_NAME
+    ? { name: process.env.COMMITTER_NAME, email: process.env.COMMITTER_EMAIL }
+    : undefined,
+  fetchInterval,
+  log,
+  arrayMergeStrategy: process.env.MERGE_ARRAY_STRATEGY,
+  signCommit: process.env.COMMIT_SIGNING_KEY
+    ? createCommitSigner(process.env.COMMIT_SIGNING_FORMAT || "gpg", process.env.COMMIT_SIGNING_KEY)
+    : undefined,
+  variables: {
+    // formerly the only supported variable
+    ...process.env.BACKEND_HOST ? { backendHost: process.env.BACKEND_HOST } : {},
+    ...variablesFile ? fse.readJsonSync(variablesFile) : {},
+    ...process.env.VARIABLES_ENV_PREFIX
+      ? readPrefixedVariables(process.env, process.env.VARIABLES_ENV_PREFIX)
+      : {}
+  }
+})
 repo.init()
 
-app.use(bodyParser.json({ limit: process.env.BODY_SIZE_LIMIT || "100kb" }))
-app.use(cors({ exposedHeaders: ["Git-Commit-Hash"] }))
+if (fetchPollInterval) {
+  setInterval(() => repo.fetch().catch(error => log.error({ error })), fetchPollInterval)
+}
+
+if (process.env.WEBHOOKS_FILE) {
+  let webhooks
+
+  try {
+    webhooks = new Webhooks(fse.readJsonSync(process.env.WEBHOOKS_FILE), {
+      log,
+      deliveryLogPath: process.env.WEBHOOKS_DELIVERY_LOG || "./webhooks.log"
+    })
+  } catch (error) {
+    log.fatal({ error }, "Invalid WEBHOOKS_FILE")
+    process.exit(1)
+  }
+
+  repo.on("change", change => webhooks.handleChange(change).catch(error => log.error({ error })))
+}
+
+app.use(bodyParser.json({
+  limit: process.env.BODY_SIZE_LIMIT || "100kb",
+  type: ["application/json", "application/*+json"]
+}))
+app.use(cors({ exposedHeaders: ["Git-Commit-Hash", "ETag"] }))
+app.use(compression({
+  // compressed event streams would be buffered instead of sent per event
+  filter: (request, response) => !/^text\/event-stream/.test(response.getHeader("Content-Type")) &&
+    compression.filter(request, response)
+}))
 app.set("trust proxy", true)
-app.use("/", routes(repo, log))
+
+let acl = null
+if (authTokensFile || authJwtKeyFile) {
+  app.use(authenticate({
+    tokens: authTokensFile ? fse.readJsonSync(authTokensFile) : {},
+    jwtKey: authJwtKeyFile ? fse.readFileSync(authJwtKeyFile) : undefined,
+    jwtAlgorithms: process.env.AUTH_JWT_ALGORITHMS
+      ? process.env.AUTH_JWT_ALGORITHMS.split(",")
+      : undefined
+  }))
+
+  acl = new Acl()
+}
+
+if (aclFile) {
+  acl = new Acl(fse.readJsonSync(aclFile))
+}
+
+app.use("/", routes(repo, log, acl))
 
 app.listen(port, () => {
   log.info({ port }, "Up and running")
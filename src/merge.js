@@ -0,0 +1,84 @@
+const isEqual = require("lodash.isequal")
+
+const { isObject, toPointer } = require("./json")
+
+/*
+  Strategies to merge arrays changed on both sides:
+  - "conflict" treats arrays as single values
+  - "union" keeps the items of ours not removed in theirs and appends the items added in theirs
+  - "ours" and "theirs" prefer the array of the respective side
+*/
+const ARRAY_STRATEGIES = ["conflict", "union", "ours", "theirs"]
+
+module.exports.ARRAY_STRATEGIES = ARRAY_STRATEGIES
+
+/*
+  Merges the changes of ours and theirs to a JSON value structurally. Object properties are
+  merged independently of each other and of their order.
+  Returns the merged data and the JSON pointers of all nodes which were changed differently
+  in ours and theirs along with the conflicting values.
+*/
+module.exports.mergeData = function mergeData(base, ours, theirs, arrayStrategy = "conflict") {
+  const conflicts = []
+  const data = mergeNode(base, ours, theirs, arrayStrategy, [], conflicts)
+
+  return { data, conflicts }
+}
+
+function mergeNode(base, ours, theirs, arrayStrategy, path, conflicts) {
+  if (isEqual(ours, theirs) || isEqual(base, theirs)) {
+    return ours
+  }
+
+  if (isEqual(base, ours)) {
+    return theirs
+  }
+
+  if (isObject(ours) && isObject(theirs)) {
+    const baseObject = isObject(base) ? base : {}
+    const result = {}
+
+    for (const key of new Set([...Object.keys(ours), ...Object.keys(theirs)])) {
+      const value = mergeNode(
+        baseObject[key],
+        ours[key],
+        theirs[key],
+        arrayStrategy,
+        [...path, key],
+        conflicts
+      )
+
+      // undefined values have been removed
+      if (typeof value !== "undefined") {
+        result[key] = value
+      }
+    }
+
+    return result
+  }
+
+  if (Array.isArray(ours) && Array.isArray(theirs) && arrayStrategy !== "conflict") {
+    return mergeArrays(Array.isArray(base) ? base : [], ours, theirs, arrayStrategy)
+  }
+
+  conflicts.push({ path: toPointer(path), base, ours, theirs })
+  return ours
+}
+
+function mergeArrays(base, ours, theirs, arrayStrategy) {
+  switch (arrayStrategy) {
+    case "ours":
+      return ours
+    case "theirs":
+      return theirs
+    default:
+      return [
+        ...ours.filter(item => !contains(base, item) || contains(theirs, item)),
+        ...theirs.filter(item => !contains(base, item) && !contains(ours, item))
+      ]
+  }
+}
+
+function contains(items, item) {
+  return items.some(other => isEqual(other, item))
+}
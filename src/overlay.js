@@ -0,0 +1,31 @@
+const { getOwnProperty, isObject, setOwnProperty } = require("./json")
+
+const DELETE_MARKER = "$delete"
+
+/*
+  Deep-merges the overlay into the base like a JSON merge patch (RFC 7396): objects are merged
+  per key, all other values including arrays replace the base value. The value null or
+  { "$delete": true } removes the key. The base is shared by the cache and never modified,
+  unchanged nested objects are shared with the result.
+*/
+module.exports.applyOverlay = function applyOverlay(base, overlay) {
+  if (!isObject(overlay)) {
+    return overlay
+  }
+
+  const result = isObject(base) ? { ...base } : {}
+
+  for (const [key, value] of Object.entries(overlay)) {
+    if (isDeletion(value)) {
+      delete result[key]
+    } else {
+      setOwnProperty(result, key, applyOverlay(getOwnProperty(result, key), value))
+    }
+  }
+
+  return result
+}
+
+function isDeletion(value) {
+  return value === null || isObject(value) && value[DELETE_MARKER] === true
+}
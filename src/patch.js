@@ -0,0 +1,58 @@
+const jsonPatch = require("fast-json-patch")
+
+const { getOwnProperty, isObject, setOwnProperty } = require("./json")
+
+const JSON_PATCH = "application/json-patch+json"
+const MERGE_PATCH = "application/merge-patch+json"
+
+module.exports.JSON_PATCH = JSON_PATCH
+module.exports.MERGE_PATCH = MERGE_PATCH
+
+module.exports.applyPatch = function applyPatch(document, type, patch) {
+  switch (type) {
+    case JSON_PATCH:
+      return applyJsonPatch(document, patch)
+    case MERGE_PATCH:
+      return applyMergePatch(document, patch)
+    default: {
+      const error = new Error(`Unsupported patch type: '${type}'`)
+      error.httpCode = 415
+      throw error
+    }
+  }
+}
+
+// RFC 6902
+function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    const error = new Error("JSON Patch must be an array of operations")
+    error.httpCode = 422
+    throw error
+  }
+
+  try {
+    return jsonPatch.applyPatch(document, operations, true, false).newDocument
+  } catch (error) {
+    error.httpCode = error.name === "TEST_OPERATION_FAILED" ? 409 : 422
+    throw error
+  }
+}
+
+// RFC 7396
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return patch
+  }
+
+  const result = isObject(target) ? { ...target } : {}
+
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key]
+    } else {
+      setOwnProperty(result, key, applyMergePatch(getOwnProperty(result, key), value))
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,142 @@
+const jmespath = require("jmespath")
+
+const { isObject } = require("./json")
+
+const UNSAFE_KEYS = ["__proto__", "constructor", "prototype"]
+
+/*
+  Narrows data with a JMESPath expression, projects it onto the given fields and
+  limits its depth, in this order. The data is shared by the cache and never modified.
+*/
+module.exports.queryData = function queryData(data, { query, fields, depth } = {}) {
+  let result = data
+
+  if (typeof query !== "undefined") {
+    result = search(result, query)
+  }
+
+  if (typeof fields !== "undefined") {
+    result = projectFields(result, fields)
+  }
+
+  if (typeof depth !== "undefined") {
+    result = limitDepth(result, depth)
+  }
+
+  return result
+}
+
+function search(data, query) {
+  try {
+    return jmespath.search(data, query)
+  } catch (error) {
+    error.httpCode = 400
+    throw error
+  }
+}
+
+function projectFields(data, fields) {
+  fields.forEach(checkField)
+  return projectTree(data, toFieldTree(fields))
+}
+
+/*
+  Turns fields like ["a.b", "a.c", "d"] into { a: { b: true, c: true }, d: true }.
+  A field includes all fields below it.
+*/
+function toFieldTree(fields) {
+  // without prototype, fields like "toString" are not found as inherited properties
+  const tree = Object.create(null)
+
+  for (const field of fields) {
+    const keys = field.split(".")
+    const lastKey = keys.pop()
+    let node = tree
+
+    for (const key of keys) {
+      node[key] = node[key] || Object.create(null)
+      node = node[key]
+
+      if (node === true) {
+        break
+      }
+    }
+
+    if (node !== true) {
+      node[lastKey] = true
+    }
+  }
+
+  return tree
+}
+
+// arrays, e.g. the result of a filter or a list along a field, are projected item by item
+function projectTree(data, tree) {
+  if (Array.isArray(data)) {
+    return data.map(item => projectTree(item, tree))
+  }
+
+  if (!isObject(data)) {
+    return data
+  }
+
+  const result = {}
+
+  for (const key of Object.keys(tree)) {
+    if (Object.prototype.hasOwnProperty.call(data, key)) {
+      const value = tree[key] === true ? data[key] : projectNested(data[key], tree[key])
+
+      if (typeof value !== "undefined") {
+        result[key] = value
+      }
+    }
+  }
+
+  return result
+}
+
+// objects without any of the fields are left out like missing fields
+function projectNested(data, tree) {
+  if (Array.isArray(data)) {
+    return projectTree(data, tree)
+  }
+
+  if (isObject(data)) {
+    const result = projectTree(data, tree)
+    return Object.keys(result).length > 0 ? result : undefined
+  }
+
+  return undefined
+}
+
+// keys which would change the prototype of the projected objects are not allowed
+function checkField(field) {
+  if (field.split(".").some(key => UNSAFE_KEYS.includes(key))) {
+    const error = new Error(`Invalid field '${field}'`)
+    error.httpCode = 400
+    throw error
+  }
+}
+
+// objects and arrays below the depth are replaced by empty ones to keep their keys visible
+function limitDepth(data, depth) {
+  if (Array.isArray(data)) {
+    return depth > 0 ? data.map(item => limitDepth(item, depth - 1)) : []
+  }
+
+  if (isObject(data)) {
+    if (depth === 0) {
+      return {}
+    }
+
+    const result = {}
+
+    for (const key of Object.keys(data)) {
+      result[key] = limitDepth(data[key], depth - 1)
+    }
+
+    return result
+  }
+
+  return data
+}
@@ -0,0 +1,105 @@
+const get = require("lodash.get")
+const mapValues = require("lodash.mapvalues")
+
+const { fromPointer, isObject } = require("./json")
+
+const MAX_REFERENCED_VALUES = 100000
+
+/*
+  Replaces objects like { "$ref": "shared/colors#/primary" } by the referenced value. The part
+  before "#" is a data path from the root of the repo, the optional part after it a JSON pointer
+  into the data at that path. References within referenced values are resolved as well.
+  The given data is shared by the cache and never modified. To limit the size of the result,
+  the values inserted by references are counted.
+*/
+module.exports.resolveReferences = function resolveReferences(
+  data,
+  getObject,
+  maxReferencedValues = MAX_REFERENCED_VALUES
+) {
+  const resolvedReferences = new Map()
+  const valueCounts = new WeakMap()
+  let referencedValues = 0
+
+  function resolve(value, references) {
+    if (Array.isArray(value)) {
+      return value.map(item => resolve(item, references))
+    }
+
+    if (!isObject(value)) {
+      return value
+    }
+
+    if (typeof value.$ref === "string") {
+      return resolveReference(value.$ref, references)
+    }
+
+    return mapValues(value, item => resolve(item, references))
+  }
+
+  function resolveReference(reference, references) {
+    if (references.includes(reference)) {
+      throw createReferenceError(`Circular reference: ${[...references, reference].join(" -> ")}`)
+    }
+
+    if (!resolvedReferences.has(reference)) {
+      const target = getTarget(reference, getObject)
+      resolvedReferences.set(reference, resolve(target, [...references, reference]))
+    }
+
+    const resolvedReference = resolvedReferences.get(reference)
+    referencedValues += countValues(resolvedReference)
+
+    if (referencedValues > maxReferencedValues) {
+      throw createReferenceError(`References resolve to more than ${maxReferencedValues} values`)
+    }
+
+    return resolvedReference
+  }
+
+  // resolved values are shared between references, therefore their counts are cached
+  function countValues(value) {
+    if (!isObject(value) && !Array.isArray(value)) {
+      return 1
+    }
+
+    if (!valueCounts.has(value)) {
+      const items = Array.isArray(value) ? value : Object.values(value)
+      valueCounts.set(value, items.reduce((count, item) => count + countValues(item), 1))
+    }
+
+    return valueCounts.get(value)
+  }
+
+  return resolve(data, [])
+}
+
+function getTarget(reference, getObject) {
+  const [path, pointer = ""] = reference.split("#")
+  let object
+
+  try {
+    object = getObject(path.replace(/^\/+|\/+$/g, ""))
+  } catch (error) {
+    if (error.httpCode === 404) {
+      throw createReferenceError(`Reference target not found: '${reference}'`)
+    }
+
+    throw error
+  }
+
+  const keys = fromPointer(pointer)
+  const target = keys.length === 0 ? object : get(object, keys)
+
+  if (typeof target === "undefined") {
+    throw createReferenceError(`Reference target not found: '${reference}'`)
+  }
+
+  return target
+}
+
+function createReferenceError(message) {
+  const error = new Error(message)
+  error.httpCode = 422
+  return error
+}
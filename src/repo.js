@@ -1,19 +1,76 @@
+const EventEmitter = require("events")
 const fse = require("fs-extra")
+const cloneDeep = require("lodash.clonedeep")
+const get = require("lodash.get")
+const isEqual = require("lodash.isequal")
+const set = require("lodash.set")
 const Git = require("nodegit")
+const Path = require("path")
 const rimraf = require("rimraf")
 
 const Cache = require("./cache")
+const { diffData } = require("./diff")
+const {
+  DEFAULT_EXTENSION,
+  getExtensions,
+  isDataFile,
+  isSchemaFile,
+  parse,
+  removeExtension,
+  SCHEMA_SUFFIX,
+  serialize
+} = require("./formats")
+const { isObject } = require("./json")
 const Lock = require("./lock")
+const { ARRAY_STRATEGIES, mergeData } = require("./merge")
+const { applyPatch, JSON_PATCH, MERGE_PATCH } = require("./patch")
+const { queryData } = require("./query")
+const { resolveReferences } = require("./refs")
+const { validate } = require("./validation")
+const { substituteVariables } = require("./variables")
 
-const CONFLICT_REGEXP = /(?:[^\r\n]*\n)?<<<<<<< ours[\s\S]*?>>>>>>> theirs(?:\n[^\r\n]*)?/g
+const COMMIT_HASH_REGEXP = /^[0-9a-f]{40}$/i
+const ENVIRONMENTS_PATH = "env"
+const FETCHED_PREFIX = "refs/fetched/"
+const OPERATIONS = ["replace", "patch", "delete", "move"]
+
+/*
+  Emits a "change" event with the branch, the new and the previous commit hash, the author and
+  the changed data paths whenever a branch of the origin advances, either by a fetch or by a push.
+*/
+module.exports = class Repo extends EventEmitter {
+  constructor(uri, path, {
+    arrayMergeStrategy = "conflict",
+    cache,
+    committer,
+    fetchInterval = 0,
+    log = null,
+    signCommit,
+    variables = {}
+  } = {}) {
+    super()
+
+    if (!ARRAY_STRATEGIES.includes(arrayMergeStrategy)) {
+      throw new Error(`Invalid array merge strategy: '${arrayMergeStrategy}'`)
+    }
 
-module.exports = class Repo {
-  constructor(uri, path) {
     this.uri = uri
     this.path = path
     this.repo = null
     this.lock = new Lock()
-    this.cache = new Cache()
+    this.cache = new Cache(cache)
+    this.fetchInterval = fetchInterval
+    this.lastFetch = 0
+    this.pendingFetch = null
+    this.log = log
+    this.arrayMergeStrategy = arrayMergeStrategy
+    this.committer = committer
+    this.signCommit = signCommit
+    this.variables = variables
+    this.branchCommitHashes = new Map()
+
+    // every watch request listens for changes
+    this.setMaxListeners(0)
   }
 
   async init() {
@@ -21,78 +78,555 @@ module.exports = class Repo {
       this.repo = await Git.Repository.open(this.path)
     } catch (error) {
       this.repo = await Git.Clone.clone(this.uri, this.path)
+      this.lastFetch = Date.now()
     }
+
+    this.branchCommitHashes = await getBranchCommitHashes(this.repo)
   }
 
-  async getData(version, path, listFiles) {
+  /*
+    Concurrent requests share one fetch. Objects are downloaded while reads continue, the
+    exclusive lock is only held while the references are updated.
+  */
+  fetch() {
+    if (!this.pendingFetch) {
+      this.pendingFetch = this.fetchConcurrently()
+        .finally(() => { this.pendingFetch = null })
+    }
+
+    return this.pendingFetch
+  }
+
+  async fetchConcurrently() {
+    try {
+      await this.lock.lockShared()
+
+      await downloadOrigin(this.repo)
+
+      this.lock.unlockShared()
+    } catch (error) {
+      this.lock.unlockShared()
+      throw error
+    }
+
     try {
       await this.lock.lock()
 
-      await this.repo.fetch("origin", { prune: Git.Fetch.PRUNE.GIT_FETCH_PRUNE })
+      await this.updateReferences()
+
+      this.lock.unlock()
+    } catch (error) {
+      this.lock.unlock()
+      throw error
+    }
+  }
+
+  async getCommitHash(version) {
+    return this.readCommit(version, async commit => commit.sha())
+  }
+
+  /*
+    Variables are substituted if any are configured or an environment of the repo is given,
+    whose variables override the configured ones. The applied variables are returned as they
+    are not part of the commit. The optional checkReference function is
+    called with the path of each reference target before it is read, e.g. to check permissions.
+  */
+  async getData(version, path, listFiles, {
+    checkReference = () => {},
+    dataQuery,
+    environment,
+    overlay,
+    page,
+    resolveRefs = false,
+    strictVariables = false
+  } = {}) {
+    const cacheEntry = await this.getCacheEntry(version)
+    let data = listFiles ? cacheEntry.getFiles(path) : cacheEntry.getObject(path, overlay)
+    let nextCursor
+
+    if (listFiles && page) {
+      const filesPage = getFilesPage(data, page)
+      data = filesPage.files
+      nextCursor = filesPage.nextCursor
+    }
+
+    if (resolveRefs) {
+      data = resolveReferences(data, refPath => {
+        checkReference(refPath)
+        return cacheEntry.getObject(refPath, overlay)
+      })
+    }
+
+    let variables
+    if (typeof environment !== "undefined") {
+      variables = { ...this.variables, ...getEnvironmentVariables(cacheEntry, environment) }
+    } else if (Object.keys(this.variables).length > 0) {
+      variables = this.variables
+    }
+
+    if (variables) {
+      data = substituteVariables(data, variables, { strict: strictVariables })
+    }
+
+    return {
+      commitHash: cacheEntry.getCommitHash(),
+      data: dataQuery ? queryData(data, dataQuery) : data,
+      nextCursor,
+      variables
+    }
+  }
+
+  async validateData(version, path) {
+    const cacheEntry = await this.getCacheEntry(version)
+    const files = cacheEntry.getFilesForPath(path)
+
+    return {
+      commitHash: cacheEntry.getCommitHash(),
+      errors: getValidationErrors(files, file => cacheEntry.getSchema(file))
+    }
+  }
+
+  /*
+    Returns the commits touching the given path, starting with the newest.
+  */
+  async getHistory(version, path, offset, limit) {
+    return this.readCommit(version, async commit => {
+      const walker = this.repo.createRevWalk()
+      walker.sorting(Git.Revwalk.SORT.TOPOLOGICAL | Git.Revwalk.SORT.TIME)
+      walker.push(commit.id())
+
+      const commits = []
+      let skipped = 0
+
+      // one more commit than requested indicates further pages
+      while (commits.length <= limit) {
+        const oid = await nextOid(walker)
+
+        if (!oid) {
+          break
+        }
+
+        const historyCommit = await this.repo.getCommit(oid)
+
+        if (await touchesPath(historyCommit, path)) {
+          if (skipped < offset) {
+            skipped++
+          } else {
+            commits.push(historyCommit)
+          }
+        }
+      }
+
+      return {
+        commitHash: commit.sha(),
+        commits: commits.slice(0, limit).map(toCommitInfo),
+        hasMore: commits.length > limit
+      }
+    })
+  }
+
+  async getDiff(fromVersion, toVersion, path) {
+    const fromEntry = await this.getCacheEntry(fromVersion)
+    const toEntry = await this.getCacheEntry(toVersion)
+
+    const fromData = getObjectIfExists(fromEntry, path)
+    const toData = getObjectIfExists(toEntry, path)
+
+    if (typeof fromData === "undefined" && typeof toData === "undefined") {
+      const error = new Error("Not found")
+      error.httpCode = 404
+      throw error
+    }
+
+    return {
+      fromCommitHash: fromEntry.getCommitHash(),
+      toCommitHash: toEntry.getCommitHash(),
+      changes: diffData(fromData, toData)
+    }
+  }
+
+  async getCacheEntry(version) {
+    return this.readCommit(version, commit => this.cache.get(commit))
+  }
+
+  async readCommit(version, readFunc) {
+    if (await this.isFetchRequired(version)) {
+      await this.fetch()
+    }
+
+    try {
+      await this.lock.lockShared()
 
       const commit = await getCommitByVersion(this.repo, version)
-      await this.cache.update(commit)
+      const result = await readFunc(commit)
+
+      this.lock.unlockShared()
+
+      return result
+    } catch (error) {
+      this.lock.unlockShared()
+      throw error
+    }
+  }
+
+  async getBranches() {
+    return this.readReferences(async () => toReferenceList(await getBranchCommitHashes(this.repo)))
+  }
+
+  async getTags() {
+    return this.readReferences(async () => toReferenceList(await getTagCommitHashes(this.repo)))
+  }
+
+  async readReferences(readFunc) {
+    if (Date.now() - this.lastFetch >= this.fetchInterval) {
+      await this.fetch()
+    }
+
+    try {
+      await this.lock.lockShared()
+
+      const result = await readFunc()
+
+      this.lock.unlockShared()
+
+      return result
+    } catch (error) {
+      this.lock.unlockShared()
+      throw error
+    }
+  }
+
+  async isFetchRequired(version) {
+    // commits are immutable, therefore only references have to be fetched periodically
+    if (COMMIT_HASH_REGEXP.test(version)) {
+      return !await hasCommit(this.repo, version)
+    } else {
+      return Date.now() - this.lastFetch >= this.fetchInterval
+    }
+  }
+
+  async replaceDirectory(parentVersion, updateBranch, path, author, files, options) {
+    return this.replace(parentVersion, updateBranch, path, author, options, () =>
+      writeDirectory(this.repo.workdir(), path, files)
+    )
+  }
+
+  async replaceFile(parentVersion, updateBranch, path, author, content, options) {
+    return this.replace(parentVersion, updateBranch, path, author, options, () =>
+      writeFile(this.repo.workdir(), path, content)
+    )
+  }
+
+  async patchData(parentVersion, updateBranch, path, author, type, patch, options) {
+    return this.replace(parentVersion, updateBranch, path, author, options, async parentCommit =>
+      writePatch(this.repo.workdir(), await this.cache.get(parentCommit), path, type, patch)
+    )
+  }
+
+  async deleteData(parentVersion, updateBranch, path, author, options) {
+    return this.replace(parentVersion, updateBranch, path, author, options, async parentCommit => {
+      deletePath(this.repo.workdir(), await this.cache.get(parentCommit), path)
+      return `Delete '${path}'`
+    })
+  }
+
+  async moveData(parentVersion, updateBranch, path, to, author, options) {
+    if (typeof to !== "string" || isOverlappingPath(path, to)) {
+      throw createOperationError("Missing or invalid destination")
+    }
+
+    return this.replace(parentVersion, updateBranch, path, author, options, async parentCommit => {
+      movePath(this.repo.workdir(), await this.cache.get(parentCommit), path, to)
+      return `Move '${path}' to '${to}'`
+    })
+  }
+
+  /*
+    Merges the source version into the target branch, restricted to the changes within the
+    optional path. Without restriction, the target branch is fast-forwarded if possible and
+    merge commits reference the source. A dry run only returns the changes and conflicts.
+  */
+  async mergeVersion(target, source, path, author, options = {}) {
+    const { dryRun = false, expectedVersion, message } = options
+
+    try {
+      await this.lock.lock()
+
+      await this.fetchOrigin()
+
+      const targetCommit = await getCommitForUpdateBranch(this.repo, target)
+      const sourceCommit = await getCommitByVersion(this.repo, source)
+
+      if (expectedVersion) {
+        await checkExpectedVersion(this.repo, targetCommit, expectedVersion)
+      }
+
+      await checkoutCommit(this.repo, targetCommit)
+
+      const index = await Git.Merge.commits(this.repo, targetCommit, sourceCommit)
+      const conflicts = index.hasConflicts()
+        ? await mergeConflictingFiles(this.repo, index, this.arrayMergeStrategy, path)
+        : []
+
+      await checkoutIndex(this.repo, index, path)
+      const treeOid = await writeIndexTree(this.repo)
+      const changes = await getDataChanges(this.repo, targetCommit, treeOid, path)
+
+      let commitHash = targetCommit.sha()
+
+      if (!dryRun && conflicts.length > 0) {
+        throw createConflictError(targetCommit, conflicts)
+      }
+
+      if (!dryRun && !treeOid.equal(targetCommit.treeId())) {
+        await this.validateChanges(targetCommit, treeOid)
+
+        if (
+          path === "" &&
+          treeOid.equal(sourceCommit.treeId()) &&
+          await isAncestor(this.repo, targetCommit, sourceCommit)
+        ) {
+          this.repo.setHeadDetached(sourceCommit)
+          commitHash = sourceCommit.sha()
+        } else {
+          const commitOid = await createCommit(
+            this.repo,
+            { author, committer: this.committer, signCommit: this.signCommit },
+            message || (path === ""
+              ? `Merge '${source}' into '${target}'`
+              : `Merge '${path}' from '${source}' into '${target}'`),
+            treeOid,
+            path === "" ? [targetCommit, sourceCommit] : [targetCommit]
+          )
+          commitHash = commitOid.tostrS()
+        }
+
+        await pushHeadToOrigin(this.repo, target)
+        await this.emitBranchChanges()
+      }
 
       this.lock.unlock()
 
-      return {
-        commitHash: this.cache.getCommitHash(),
-        data: listFiles ? this.cache.getFiles(path) : this.cache.getObject(path)
+      return { commitHash, sourceCommitHash: sourceCommit.sha(), changes, conflicts }
+    } catch (error) {
+      this.lock.unlock()
+      throw error
+    }
+  }
+
+  async createBranch(name, version) {
+    return this.writeReferences(async () => {
+      checkReferenceName("refs/heads/", name)
+
+      if ((await getBranchCommitHashes(this.repo)).has(name)) {
+        throw createReferenceExistsError(`Branch '${name}' already exists`)
       }
+
+      const commit = await getCommitByVersion(this.repo, version)
+      this.repo.setHeadDetached(commit)
+      await pushHeadToOrigin(this.repo, name)
+
+      return commit.sha()
+    })
+  }
+
+  async deleteBranch(name) {
+    return this.writeReferences(async () => {
+      if (!(await getBranchCommitHashes(this.repo)).has(name)) {
+        const error = new Error(`Branch not found: '${name}'`)
+        error.httpCode = 404
+        throw error
+      }
+
+      const remote = await this.repo.getRemote("origin")
+      await remote.push(`:refs/heads/${name}`, null)
+      await this.fetchOrigin()
+
+      if ((await getBranchCommitHashes(this.repo)).has(name)) {
+        throw new Error("Push to remote failed")
+      }
+    })
+  }
+
+  /*
+    Creates an annotated tag if a message is given and a lightweight tag otherwise.
+  */
+  async createTag(name, version, author, message) {
+    return this.writeReferences(async () => {
+      checkReferenceName("refs/tags/", name)
+
+      if ((await getTagCommitHashes(this.repo)).has(name)) {
+        throw createReferenceExistsError(`Tag '${name}' already exists`)
+      }
+
+      const commit = await getCommitByVersion(this.repo, version)
+
+      if (message) {
+        await Git.Tag.create(this.repo, name, commit, createSignature(author), message, 0)
+      } else {
+        await Git.Tag.createLightweight(this.repo, name, commit, 0)
+      }
+
+      await pushTagToOrigin(this.repo, name)
+
+      return commit.sha()
+    })
+  }
+
+  async writeReferences(writeFunc) {
+    try {
+      await this.lock.lock()
+
+      await this.fetchOrigin()
+      const result = await writeFunc()
+      await this.emitBranchChanges()
+
+      this.lock.unlock()
+
+      return result
     } catch (error) {
       this.lock.unlock()
       throw error
     }
   }
 
-  async replaceDirectory(parentVersion, updateBranch, path, author, files) {
-    return this.replace(parentVersion, updateBranch, path, author, () => {
-      // clear directory first
-      rimraf.sync(`${this.repo.workdir()}${path}/*`)
+  /*
+    Applies all operations in a single commit. The operations are based on the parent version
+    and must not change overlapping paths.
+  */
+  async applyOperations(parentVersion, updateBranch, author, operations, options) {
+    checkOperations(operations)
+
+    return this.replace(parentVersion, updateBranch, "", author, options, async parentCommit => {
+      const cacheEntry = await this.cache.get(parentCommit)
+      const workdir = this.repo.workdir()
 
-      for (const file of Object.keys(files)) {
-        fse.outputJsonSync(`${this.repo.workdir()}${path}/${file}.json`, files[file], { spaces: 2 })
+      for (const { op, path, files, fileContent, type, patch, to } of operations) {
+        switch (op) {
+          case "replace":
+            if (files) {
+              writeDirectory(workdir, path, files)
+            } else {
+              writeFile(workdir, path, fileContent)
+            }
+            break
+          case "patch":
+            writePatch(
+              workdir,
+              cacheEntry,
+              path,
+              type || (Array.isArray(patch) ? JSON_PATCH : MERGE_PATCH),
+              patch
+            )
+            break
+          case "delete":
+            deletePath(workdir, cacheEntry, path)
+            break
+          case "move":
+            movePath(workdir, cacheEntry, path, to)
+            break
+        }
       }
+
+      return `Update ${operations.map(({ path }) => `'${path}'`).join(", ")}`
     })
   }
 
-  async replaceFile(parentVersion, updateBranch, path, author, content) {
-    return this.replace(parentVersion, updateBranch, path, author, () =>
-      fse.outputJsonSync(`${this.repo.workdir()}${path}.json`, content, { spaces: 2 })
-    )
+  async restorePath(branch, path, author, version, options = {}) {
+    return this.replace(branch, branch, path, author, options, async parentCommit => {
+      const commit = await getCommitByVersion(this.repo, version)
+      const paths = getEntryPaths(path)
+
+      // at the root, all entries of the current version are removed
+      const removedPaths = path === ""
+        ? (await parentCommit.getTree()).entries().map(entry => entry.path())
+        : paths
+
+      for (const entryPath of removedPaths) {
+        rimraf.sync(`${this.repo.workdir()}${entryPath}`)
+      }
+
+      await Git.Checkout.tree(this.repo, commit, {
+        checkoutStrategy: Git.Checkout.STRATEGY.FORCE,
+        paths
+      })
+
+      return `Restore '${path}' to ${commit.sha()}`
+    })
+  }
+
+  async revertCommit(branch, path, author, commitHash, options = {}) {
+    return this.replace(branch, branch, path, author, options, async parentCommit => {
+      const commit = await getCommitByVersion(this.repo, commitHash)
+      const mainline = commit.parentcount() > 1 ? 1 : 0
+      const index = await Git.Revert.commit(this.repo, commit, parentCommit, mainline, null)
+
+      if (index.hasConflicts()) {
+        const conflicts =
+          await mergeConflictingFiles(this.repo, index, this.arrayMergeStrategy, path)
+
+        if (conflicts.length > 0) {
+          throw createConflictError(parentCommit, conflicts)
+        }
+      }
+
+      await checkoutIndex(this.repo, index, path)
+
+      const summary = commit.summary()
+      return path === ""
+        ? `Revert "${summary}"\n\nThis reverts commit ${commit.sha()}.`
+        : `Revert "${summary}" in '${path}'\n\nThis reverts commit ${commit.sha()}.`
+    })
   }
 
-  async replace(parentVersion, updateBranch, path, author, replaceFunc) {
+  /*
+    The replace function changes the working tree and can return a commit message, which is
+    overridden by a message given in the options.
+
+    If an expected version is given, the update fails if the update branch does not point to
+    the expected commit anymore instead of merging the changes.
+  */
+  async replace(parentVersion, updateBranch, path, author, options = {}, replaceFunc) {
+    const { expectedVersion, message: providedMessage } = options
+
     try {
       await this.lock.lock()
 
-      await this.repo.fetch("origin", { prune: Git.Fetch.PRUNE.GIT_FETCH_PRUNE })
+      await this.fetchOrigin()
 
       const parentCommit = await getCommitByVersion(this.repo, parentVersion)
       const branchCommit = await getCommitForUpdateBranch(this.repo, updateBranch || parentVersion)
 
+      if (expectedVersion) {
+        await checkExpectedVersion(this.repo, branchCommit, expectedVersion)
+      }
+
       await checkoutCommit(this.repo, parentCommit)
-      await replaceFunc()
+      const message = providedMessage || await replaceFunc(parentCommit) || `Update '${path}'`
 
-      const diff = await Git.Diff.treeToWorkdir(this.repo, await parentCommit.getTree())
+      const newTreeOid = await writeIndexTree(this.repo)
 
       let commitHash
-      if (diff.numDeltas() > 0) {
-        const newTreeOid = await writeIndexTree(this.repo)
-
+      if (!newTreeOid.equal(parentCommit.treeId())) {
         commitHash = await commitAndMerge(
           this.repo,
           parentCommit,
           branchCommit,
           newTreeOid,
-          author,
-          `Update '${path}'`
+          { author, committer: this.committer, signCommit: this.signCommit },
+          message,
+          this.arrayMergeStrategy
         )
+
+        // validates what is pushed, which includes merged changes of others
+        const commit = await this.repo.getCommit(commitHash)
+        await this.validateChanges(branchCommit, commit.treeId())
       } else {
         commitHash = parentCommit.sha()
       }
 
       await pushHeadToOrigin(this.repo, updateBranch || parentVersion)
+      await this.emitBranchChanges()
 
       this.lock.unlock()
 
@@ -102,6 +636,586 @@ module.exports = class Repo {
       throw error
     }
   }
+
+  /*
+    Validates the data files changed between the base commit and the tree against the schemas
+    of the tree. Data files whose schema changed are validated as well.
+  */
+  async validateChanges(baseCommit, treeOid) {
+    const tree = await this.repo.getTree(treeOid)
+    const changedPaths = await getChangedPaths(this.repo, baseCommit, treeOid)
+    const dataPaths = new Set(changedPaths.filter(isDataFile))
+
+    for (const path of changedPaths.filter(isSchemaFile)) {
+      const file = removeExtension(path).slice(0, -SCHEMA_SUFFIX.length)
+
+      for (const extension of getExtensions()) {
+        if (typeof await readTreeFile(tree, `${file}${extension}`) !== "undefined") {
+          dataPaths.add(`${file}${extension}`)
+        }
+      }
+    }
+
+    const files = {}
+    const schemas = {}
+    for (const path of dataPaths) {
+      const file = removeExtension(path)
+      files[file] = parse(path, await readTreeFile(tree, path))
+
+      for (const extension of getExtensions()) {
+        const schemaPath = `${file}${SCHEMA_SUFFIX}${extension}`
+        const content = await readTreeFile(tree, schemaPath)
+
+        if (typeof content !== "undefined") {
+          schemas[file] = parse(schemaPath, content)
+          break
+        }
+      }
+    }
+
+    const errors = getValidationErrors(files, file => schemas[file])
+
+    if (errors.length > 0) {
+      const error = new Error("Validation failed")
+      error.httpCode = 422
+      error.validationErrors = errors
+      throw error
+    }
+  }
+
+  // requires the exclusive lock
+  async fetchOrigin() {
+    await downloadOrigin(this.repo)
+    await this.updateReferences()
+  }
+
+  async updateReferences() {
+    await mirrorReferences(this.repo, `${FETCHED_PREFIX}heads/`, "refs/remotes/origin/")
+    await mirrorReferences(this.repo, `${FETCHED_PREFIX}tags/`, "refs/tags/")
+    this.lastFetch = Date.now()
+    await this.emitBranchChanges()
+  }
+
+  /*
+    The branches have already changed when this is called, therefore errors are only logged.
+  */
+  async emitBranchChanges() {
+    try {
+      const branchCommitHashes = await getBranchCommitHashes(this.repo)
+
+      for (const [branch, commitHash] of branchCommitHashes) {
+        const previousCommitHash = this.branchCommitHashes.get(branch)
+
+        if (commitHash !== previousCommitHash && this.listenerCount("change") > 0) {
+          const { author } = toCommitInfo(await this.repo.getCommit(commitHash))
+          const paths = await getChangedDataPaths(this.repo, previousCommitHash, commitHash)
+          this.emit("change", { branch, commitHash, previousCommitHash, author, paths })
+        }
+      }
+
+      this.branchCommitHashes = branchCommitHashes
+    } catch (error) {
+      if (this.log) {
+        this.log.error({ error }, "Emitting branch changes failed")
+      }
+    }
+  }
+}
+
+function writeDirectory(workdir, path, files) {
+  const extensions = Object.keys(files)
+    .map(file => getFileExtension(`${workdir}${path}/${file}`))
+
+  // clear directory first but keep schemas
+  rimraf.sync(`${workdir}${path}/**/*`, {
+    glob: { nodir: true, ignore: `${workdir}${path}/**/*${SCHEMA_SUFFIX}.*` }
+  })
+
+  Object.keys(files).forEach((file, index) => {
+    writeDataFile(`${workdir}${path}/${file}${extensions[index]}`, files[file])
+  })
+}
+
+function writeFile(workdir, path, content) {
+  writeDataFile(`${workdir}${path}${getFileExtension(`${workdir}${path}`)}`, content)
+}
+
+function writePatch(workdir, cacheEntry, path, type, patch) {
+  const patchedData = applyPatch(cacheEntry.getObject(path), type, patch)
+  const changedFiles = getChangedFiles(cacheEntry.getFiles(""), path, patchedData)
+
+  for (const file of Object.keys(changedFiles)) {
+    writeFile(workdir, file, changedFiles[file])
+  }
+}
+
+function writeDataFile(filePath, data) {
+  fse.outputFileSync(filePath, serialize(filePath, data))
+}
+
+/*
+  Returns the extension of the existing data file to keep its format when it is replaced.
+*/
+function getFileExtension(pathWithoutExtension) {
+  return getExtensions().find(extension => fse.existsSync(`${pathWithoutExtension}${extension}`)) ||
+    DEFAULT_EXTENSION
+}
+
+/*
+  Deletes the data file or all data files of the directory at the path. Schemas are kept.
+*/
+function deletePath(workdir, cacheEntry, path) {
+  for (const file of getDataFiles(cacheEntry, path)) {
+    for (const extension of getExtensions()) {
+      fse.removeSync(`${workdir}${file}${extension}`)
+    }
+  }
+}
+
+/*
+  Moves the file or directory at the path including schemas.
+*/
+function movePath(workdir, cacheEntry, path, to) {
+  // throws if the path does not exist
+  getDataFiles(cacheEntry, path)
+
+  if (isUsedPath(cacheEntry, to)) {
+    throw createOperationError(`Target '${to}' already exists`)
+  }
+
+  const schemaPaths = getExtensions().map(extension => `${path}${SCHEMA_SUFFIX}${extension}`)
+
+  for (const entryPath of [...getEntryPaths(path), ...schemaPaths]) {
+    if (fse.existsSync(`${workdir}${entryPath}`)) {
+      fse.moveSync(`${workdir}${entryPath}`, `${workdir}${to}${entryPath.slice(path.length)}`)
+    }
+  }
+}
+
+/*
+  Returns the data files at or below the path.
+*/
+function getDataFiles(cacheEntry, path) {
+  const files = Object.keys(cacheEntry.getFiles(""))
+    .filter(file => path === "" || file === path || file.startsWith(`${path}${Path.sep}`))
+
+  if (files.length === 0) {
+    const error = new Error("Not found")
+    error.httpCode = 404
+    throw error
+  }
+
+  return files
+}
+
+function isUsedPath(cacheEntry, path) {
+  try {
+    cacheEntry.getFilesForPath(path)
+    return true
+  } catch (error) {
+    return false
+  }
+}
+
+function checkOperations(operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw createOperationError("Operations must be a non-empty array")
+  }
+
+  const paths = []
+
+  operations.forEach(({ op, path, files, fileContent, patch, to }, index) => {
+    if (!OPERATIONS.includes(op)) {
+      throw createOperationError(`Invalid op '${op}' in operation ${index}`)
+    }
+
+    if (typeof path !== "string") {
+      throw createOperationError(`Missing 'path' in operation ${index}`)
+    }
+
+    if (op === "replace" && !files && !fileContent) {
+      throw createOperationError(`Missing 'files' or 'fileContent' in operation ${index}`)
+    }
+
+    if (op === "patch" && typeof patch === "undefined") {
+      throw createOperationError(`Missing 'patch' in operation ${index}`)
+    }
+
+    if (op === "move" && (typeof to !== "string" || isOverlappingPath(path, to))) {
+      throw createOperationError(`Missing or invalid 'to' in operation ${index}`)
+    }
+
+    const operationPaths = op === "move" ? [path, to] : [path]
+
+    for (const operationPath of operationPaths) {
+      if (paths.some(otherPath => isOverlappingPath(otherPath, operationPath))) {
+        throw createOperationError(`Operation ${index} changes the overlapping path '${operationPath}'`)
+      }
+    }
+
+    paths.push(...operationPaths)
+  })
+}
+
+function isOverlappingPath(path, otherPath) {
+  return path === "" ||
+    otherPath === "" ||
+    path === otherPath ||
+    path.startsWith(`${otherPath}${Path.sep}`) ||
+    otherPath.startsWith(`${path}${Path.sep}`)
+}
+
+function createOperationError(message) {
+  const error = new Error(message)
+  error.httpCode = 422
+  return error
+}
+
+/*
+  Maps patched data at the given path back onto the files it was built from
+  and returns the contents of all files which changed.
+*/
+function getChangedFiles(files, path, patchedData) {
+  const pathKeys = path === "" ? [] : path.split(Path.sep)
+  const changedFiles = {}
+  let rebuiltData = {}
+
+  for (const file of Object.keys(files)) {
+    const fileKeys = file.split(Path.sep)
+    let fileData
+
+    if (startsWith(fileKeys, pathKeys)) {
+      const relativeKeys = fileKeys.slice(pathKeys.length)
+      fileData = relativeKeys.length > 0 ? get(patchedData, relativeKeys) : patchedData
+
+      if (typeof fileData === "undefined") {
+        throw createPatchError(`Patch must not remove file '${file}'`)
+      }
+
+      if (relativeKeys.length > 0) {
+        set(rebuiltData, relativeKeys, cloneDeep(fileData))
+      } else {
+        rebuiltData = cloneDeep(fileData)
+      }
+    } else if (startsWith(pathKeys, fileKeys)) {
+      fileData = set(cloneDeep(files[file]), pathKeys.slice(fileKeys.length), patchedData)
+      rebuiltData = patchedData
+    } else {
+      continue
+    }
+
+    if (!isEqual(fileData, files[file])) {
+      changedFiles[file] = fileData
+    }
+  }
+
+  if (!isEqual(rebuiltData, patchedData)) {
+    throw createPatchError("Patch must not add data outside of existing files")
+  }
+
+  return changedFiles
+}
+
+async function nextOid(walker) {
+  return walker.next().catch(error => {
+    if (error.errno === Git.Error.CODE.ITEROVER) {
+      return null
+    } else {
+      throw error
+    }
+  })
+}
+
+/*
+  A commit touches a path if the files or directories containing data of the path differ from
+  all of its parents, like "git log -- <path>" does.
+*/
+async function touchesPath(commit, path) {
+  const fingerprint = await getPathFingerprint(commit, path)
+  const parents = await commit.getParents()
+
+  if (parents.length === 0) {
+    return fingerprint.some(id => id !== null)
+  }
+
+  for (const parent of parents) {
+    if (isEqual(await getPathFingerprint(parent, path), fingerprint)) {
+      return false
+    }
+  }
+
+  return true
+}
+
+/*
+  Checks out the entries of the index within the path. Files with unresolved conflicts keep
+  the content of the current commit.
+*/
+async function checkoutIndex(repo, index, path) {
+  await Git.Checkout.index(repo, index, {
+    checkoutStrategy:
+      Git.Checkout.STRATEGY.FORCE |
+      Git.Checkout.STRATEGY.ALLOW_CONFLICTS |
+      Git.Checkout.STRATEGY.USE_OURS,
+    paths: getEntryPaths(path)
+  })
+}
+
+function isEntryInPath(entryPath, path) {
+  return path === "" ||
+    isDataFile(entryPath) && removeExtension(entryPath) === path ||
+    entryPath.startsWith(`${path}${Path.sep}`)
+}
+
+/*
+  Returns the changes of the data files within the path between the commit and the tree.
+  Change paths are relative to the path.
+*/
+async function getDataChanges(repo, commit, treeOid, path) {
+  const diff = await Git.Diff.treeToTree(repo, await commit.getTree(), await repo.getTree(treeOid))
+  const pathKeys = path === "" ? [] : path.split(Path.sep)
+  const changes = []
+
+  for (let index = 0; index < diff.numDeltas(); index++) {
+    const delta = diff.getDelta(index)
+    const entryPath = delta.status() === Git.Diff.DELTA.DELETED
+      ? delta.oldFile().path()
+      : delta.newFile().path()
+
+    if (isDataFile(entryPath) && isEntryInPath(entryPath, path)) {
+      const [oldContent, newContent] = await Promise.all([
+        delta.status() === Git.Diff.DELTA.ADDED
+          ? undefined
+          : readBlob(repo, { id: delta.oldFile().id() }),
+        delta.status() === Git.Diff.DELTA.DELETED
+          ? undefined
+          : readBlob(repo, { id: delta.newFile().id() })
+      ])
+      const fileKeys = removeExtension(entryPath).split(Path.sep)
+
+      changes.push(...diffData(
+        parseFile(entryPath, oldContent),
+        parseFile(entryPath, newContent),
+        fileKeys.slice(pathKeys.length)
+      ))
+    }
+  }
+
+  return changes
+}
+
+/*
+  Returns the paths of the Git entries which contain data of the given file or directory path.
+*/
+function getEntryPaths(path) {
+  return path === "" ? [] : [...getExtensions().map(extension => `${path}${extension}`), path]
+}
+
+async function getPathFingerprint(commit, path) {
+  const tree = await commit.getTree()
+
+  if (path === "") {
+    return [tree.id().tostrS()]
+  }
+
+  // files containing the path and the directory of the path
+  const keys = path.split(Path.sep)
+  const entryPaths = keys.flatMap((key, index) => getExtensions()
+    .map(extension => `${keys.slice(0, index + 1).join(Path.sep)}${extension}`))
+  entryPaths.push(path)
+
+  return Promise.all(entryPaths.map(entryPath => tree.getEntry(entryPath)
+    .then(entry => entry.sha())
+    .catch(() => null)
+  ))
+}
+
+function toCommitInfo(commit) {
+  const author = commit.author()
+
+  return {
+    hash: commit.sha(),
+    author: { name: author.name(), email: author.email() },
+    date: commit.date().toISOString(),
+    message: commit.message()
+  }
+}
+
+/*
+  Returns the files following the cursor in the order of their paths. The cursor of the next
+  page is the path of the last returned file or null if there are no more files.
+*/
+function getFilesPage(files, { cursor, limit }) {
+  const paths = Object.keys(files)
+    .filter(path => typeof cursor === "undefined" || path > cursor)
+    .sort()
+  const pagePaths = paths.slice(0, limit)
+  const pageFiles = {}
+
+  for (const path of pagePaths) {
+    pageFiles[path] = files[path]
+  }
+
+  return {
+    files: pageFiles,
+    nextCursor: paths.length > limit ? pagePaths[pagePaths.length - 1] : null
+  }
+}
+
+function getEnvironmentVariables(cacheEntry, environment) {
+  const variables = getObjectIfExists(cacheEntry, `${ENVIRONMENTS_PATH}${Path.sep}${environment}`)
+
+  if (!isObject(variables) || environment.includes(Path.sep)) {
+    const error = new Error(`Environment not found: '${environment}'`)
+    error.httpCode = 404
+    throw error
+  }
+
+  return variables
+}
+
+function getObjectIfExists(cacheEntry, path) {
+  try {
+    return cacheEntry.getObject(path)
+  } catch (error) {
+    if (error.httpCode === 404) {
+      return undefined
+    } else {
+      throw error
+    }
+  }
+}
+
+function getValidationErrors(files, getSchema) {
+  const errors = []
+
+  for (const file of Object.keys(files)) {
+    const schema = getSchema(file)
+
+    if (typeof schema !== "undefined") {
+      errors.push(...validate(schema, files[file]).map(error => ({ file, ...error })))
+    }
+  }
+
+  return errors
+}
+
+async function readTreeFile(tree, path) {
+  try {
+    const entry = await tree.getEntry(path)
+    return entry.isFile() ? (await entry.getBlob()).toString() : undefined
+  } catch (error) {
+    return undefined
+  }
+}
+
+async function getChangedPaths(repo, parentCommit, treeOid) {
+  const parentTree = await parentCommit.getTree()
+  const diff = await Git.Diff.treeToTree(repo, parentTree, await repo.getTree(treeOid))
+  const paths = []
+
+  for (let index = 0; index < diff.numDeltas(); index++) {
+    const delta = diff.getDelta(index)
+
+    if (delta.status() !== Git.Diff.DELTA.DELETED) {
+      paths.push(delta.newFile().path())
+    }
+  }
+
+  return paths
+}
+
+async function getTagCommitHashes(repo) {
+  const prefix = "refs/tags/"
+  const names = (await Git.Reference.list(repo)).filter(name => name.startsWith(prefix))
+
+  const commitHashes = new Map()
+  for (const name of names) {
+    const commit = await getTagCommit(repo, name.slice(prefix.length))
+    commitHashes.set(name.slice(prefix.length), commit.sha())
+  }
+
+  return commitHashes
+}
+
+/*
+  Resolves lightweight and annotated tags to their commit.
+*/
+async function getTagCommit(repo, name) {
+  const reference = await Git.Reference.lookup(repo, `refs/tags/${name}`)
+  const object = await reference.peel(Git.Object.TYPE.COMMIT)
+  return repo.getCommit(object.id())
+}
+
+function toReferenceList(commitHashes) {
+  return [...commitHashes]
+    .map(([name, commitHash]) => ({ name, commitHash }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
+
+function checkReferenceName(prefix, name) {
+  if (typeof name !== "string" || !Git.Reference.isValidName(`${prefix}${name}`)) {
+    const error = new Error(`Invalid name: '${name}'`)
+    error.httpCode = 422
+    throw error
+  }
+}
+
+function createReferenceExistsError(message) {
+  const error = new Error(message)
+  error.httpCode = 409
+  return error
+}
+
+async function getBranchCommitHashes(repo) {
+  const prefix = "refs/remotes/origin/"
+  const names = (await Git.Reference.list(repo))
+    .filter(name => name.startsWith(prefix) && name !== `${prefix}HEAD`)
+
+  const commitHashes = new Map()
+  for (const name of names) {
+    const oid = await Git.Reference.nameToId(repo, name)
+    commitHashes.set(name.slice(prefix.length), oid.tostrS())
+  }
+
+  return commitHashes
+}
+
+/*
+  Returns the paths of all data files which differ between the commits. Without a previous
+  commit, all data files of the commit are returned.
+*/
+async function getChangedDataPaths(repo, previousCommitHash, commitHash) {
+  const tree = await (await repo.getCommit(commitHash)).getTree()
+  const previousTree = previousCommitHash
+    ? await (await repo.getCommit(previousCommitHash)).getTree()
+    : null
+  const diff = await Git.Diff.treeToTree(repo, previousTree, tree)
+  const paths = new Set()
+
+  for (let index = 0; index < diff.numDeltas(); index++) {
+    const delta = diff.getDelta(index)
+
+    for (const file of [delta.oldFile(), delta.newFile()]) {
+      const filePath = file.path()
+
+      if (isDataFile(filePath)) {
+        paths.add(removeExtension(filePath))
+      }
+    }
+  }
+
+  return [...paths]
+}
+
+function startsWith(keys, prefixKeys) {
+  return prefixKeys.every((key, index) => keys[index] === key)
+}
+
+function createPatchError(message) {
+  const error = new Error(message)
+  error.httpCode = 422
+  return error
 }
 
 async function getCommitForUpdateBranch(repo, reference) {
@@ -109,8 +1223,27 @@ async function getCommitForUpdateBranch(repo, reference) {
     .catch(() => { throw new Error("Invalid or missing update branch") })
 }
 
+async function hasCommit(repo, commitHash) {
+  return repo.getCommit(commitHash)
+    .then(() => true)
+    .catch(() => false)
+}
+
+async function checkExpectedVersion(repo, branchCommit, expectedVersion) {
+  // unknown versions cannot match
+  const expectedCommit = await getCommitByVersion(repo, expectedVersion).catch(() => null)
+
+  if (!expectedCommit || !branchCommit.id().equal(expectedCommit.id())) {
+    const error = new Error(`Update branch has moved past '${expectedVersion}'`)
+    error.httpCode = 412
+    error.commitHash = branchCommit.sha()
+    throw error
+  }
+}
+
 async function getCommitByVersion(repo, version) {
   return repo.getReferenceCommit(`refs/remotes/origin/${version}`)
+    .catch(() => getTagCommit(repo, version))
     .catch(() => repo.getCommit(version))
     .catch(() => { throw new Error(`Branch or commit not found: '${version}'`) })
 }
@@ -128,20 +1261,21 @@ async function checkoutCommit(repo, commit) {
 async function writeIndexTree(repo) {
   const index = await repo.refreshIndex()
   await index.addAll()
+  await index.updateAll()
   await index.write()
   return index.writeTree()
 }
 
-async function commitAndMerge(repo, parentCommit, branchCommit, treeOid, author, message) {
-  const commitSignature = createSignature(author)
-  const commitOid = await repo.createCommit(
-    "HEAD",
-    commitSignature,
-    commitSignature,
-    message,
-    treeOid,
-    [parentCommit]
-  )
+async function commitAndMerge(
+  repo,
+  parentCommit,
+  branchCommit,
+  treeOid,
+  signatures,
+  message,
+  arrayMergeStrategy
+) {
+  const commitOid = await createCommit(repo, signatures, message, treeOid, [parentCommit])
 
   const commit = await repo.getCommit(commitOid)
 
@@ -149,29 +1283,109 @@ async function commitAndMerge(repo, parentCommit, branchCommit, treeOid, author,
     return commit.sha()
   } else {
     const index = await Git.Merge.commits(repo, branchCommit, commit)
+
     if (index.hasConflicts()) {
-      const conflictReport = await createConflictReport(repo, index)
-      throw new Error(`Merge conflict\n\n${conflictReport}`)
-    } else {
-      const mergeSignature = createSignature(author)
-      const mergeTreeOid = await index.writeTreeTo(repo)
-      const mergeCommitOid = await repo.createCommit(
-        "HEAD",
-        mergeSignature,
-        mergeSignature,
-        "Merge",
-        mergeTreeOid,
-        [commit, branchCommit]
-      )
+      const conflicts = await mergeConflictingFiles(repo, index, arrayMergeStrategy)
 
-      const mergeCommit = await repo.getCommit(mergeCommitOid)
-      return mergeCommit.sha()
+      if (conflicts.length > 0) {
+        throw createConflictError(branchCommit, conflicts)
+      }
     }
+
+    const mergeTreeOid = await index.writeTreeTo(repo)
+    const mergeCommitOid =
+      await createCommit(repo, signatures, "Merge", mergeTreeOid, [commit, branchCommit])
+
+    const mergeCommit = await repo.getCommit(mergeCommitOid)
+    return mergeCommit.sha()
   }
 }
 
+function createConflictError(branchCommit, conflicts) {
+  const error = new Error("Merge conflict")
+  error.httpCode = 409
+  error.commitHash = branchCommit.sha()
+  error.conflicts = conflicts
+  return error
+}
+
+/*
+  Creates a commit on HEAD. The committer defaults to the author. If a sign function is given,
+  it is called with the commit data and has to resolve to the signature.
+*/
+async function createCommit(repo, { author, committer, signCommit }, message, treeOid, parents) {
+  const authorSignature = createSignature(author)
+  const committerSignature = committer ? createSignature(committer) : authorSignature
+
+  if (signCommit) {
+    return repo.createCommitWithSignature(
+      "HEAD",
+      authorSignature,
+      committerSignature,
+      message,
+      treeOid,
+      parents,
+      async data => ({
+        code: Git.Error.CODE.OK,
+        field: "gpgsig",
+        signedData: await signCommit(data)
+      })
+    )
+  }
+
+  return repo.createCommit("HEAD", authorSignature, committerSignature, message, treeOid, parents)
+}
+
+/*
+  The author is either a name or an identity with name and optional e-mail.
+*/
 function createSignature(author) {
-  return Git.Signature.now(author, process.env.SIGNATURE_MAIL || "mail@example.com")
+  const { name, email } = typeof author === "string" ? { name: author } : author
+  return Git.Signature.now(name, email || process.env.SIGNATURE_MAIL || "mail@example.com")
+}
+
+/*
+  Downloads the branches and tags of origin into separate references, so the references used
+  by reads are not changed. An anonymous remote prevents libgit2 from updating the
+  remote-tracking branches along the way.
+*/
+async function downloadOrigin(repo) {
+  const origin = await repo.getRemote("origin")
+  const remote = await Git.Remote.createAnonymous(repo, origin.url())
+
+  await remote.fetch([
+    `+refs/heads/*:${FETCHED_PREFIX}heads/*`,
+    `+refs/tags/*:${FETCHED_PREFIX}tags/*`
+  ], {
+    downloadTags: Git.Remote.AUTOTAGOPTION.DOWNLOAD_TAGS_NONE,
+    prune: Git.Fetch.PRUNE.GIT_FETCH_PRUNE
+  }, null)
+}
+
+/*
+  Makes the references with the target prefix equal to the ones with the source prefix.
+*/
+async function mirrorReferences(repo, sourcePrefix, targetPrefix) {
+  const names = await Git.Reference.list(repo)
+  const mirroredNames = new Set()
+
+  for (const name of names.filter(sourceName => sourceName.startsWith(sourcePrefix))) {
+    const targetName = `${targetPrefix}${name.slice(sourcePrefix.length)}`
+    const oid = await Git.Reference.nameToId(repo, name)
+
+    await Git.Reference.create(repo, targetName, oid, 1, "fetch")
+    mirroredNames.add(targetName)
+  }
+
+  for (const name of names) {
+    if (
+      name.startsWith(targetPrefix) &&
+      name !== `${targetPrefix}HEAD` &&
+      !mirroredNames.has(name)
+    ) {
+      Git.Reference.remove(repo, name)
+    }
+  }
 }
 
 async function pushHeadToOrigin(repo, branch) {
@@ -186,6 +1400,28 @@ async function pushHeadToOrigin(repo, branch) {
   if (headCommit.sha() !== remoteCommit.sha()) {
     throw new Error("Push to remote failed")
   }
+
+  // a fetch downloaded before the push must not mirror the old commit back
+  await Git.Reference.create(repo, `${FETCHED_PREFIX}heads/${branch}`, headCommit.id(), 1, "push")
+}
+
+/*
+  Removes the local tag if the push failed.
+*/
+async function pushTagToOrigin(repo, name) {
+  const remote = await repo.getRemote("origin")
+  await remote.push(`refs/tags/${name}:refs/tags/${name}`, null)
+
+  // like for branches, the pushed tag is checked manually
+  await downloadOrigin(repo)
+  const tagOid = await Git.Reference.nameToId(repo, `refs/tags/${name}`)
+  const remoteTagOid = await Git.Reference.nameToId(repo, `${FETCHED_PREFIX}tags/${name}`)
+    .catch(() => null)
+
+  if (!remoteTagOid || !remoteTagOid.equal(tagOid)) {
+    Git.Reference.remove(repo, `refs/tags/${name}`)
+    throw new Error("Push to remote failed")
+  }
 }
 
 async function isAncestor(repo, ancestorCommit, commit) {
@@ -193,16 +1429,85 @@ async function isAncestor(repo, ancestorCommit, commit) {
   return ancestorCommit.id().equal(baseCommitOid)
 }
 
-async function createConflictReport(repo, index) {
-  await Git.Checkout.index(repo, index)
+/*
+  Merges the JSON data of textually conflicting files structurally and resolves the conflicts
+  in the index if all files could be merged. Returns the JSON nodes which could not be merged.
+  Only files within the data path are considered.
+  "ours" refers to the update branch, "theirs" to the requested change.
+*/
+async function mergeConflictingFiles(repo, index, arrayMergeStrategy, dataPath = "") {
+  const stages = {}
+
+  const conflictEntries = index.entries().filter(entry =>
+    Git.Index.entryIsConflict(entry) && isEntryInPath(entry.path, dataPath)
+  )
+
+  for (const entry of conflictEntries) {
+    stages[entry.path] = { ...stages[entry.path], [Git.Index.entryStage(entry)]: entry }
+  }
+
+  const conflicts = []
+  const mergedFiles = {}
+
+  for (const path of Object.keys(stages)) {
+    const file = removeExtension(path)
+    const [base, ours, theirs] = await Promise.all(
+      [1, 2, 3].map(stage => readBlob(repo, stages[path][stage]))
+    )
+
+    try {
+      const { data, conflicts: fileConflicts } = mergeData(
+        parseFile(path, base),
+        parseFile(path, ours),
+        parseFile(path, theirs),
+        arrayMergeStrategy
+      )
+
+      mergedFiles[path] = data
+      conflicts.push(...fileConflicts.map(conflict => ({ file, ...conflict })))
+    } catch (error) {
+      // files which cannot be parsed can only conflict as a whole
+      conflicts.push({ file, path: "", base, ours, theirs })
+    }
+  }
+
+  if (conflicts.length === 0) {
+    for (const path of Object.keys(mergedFiles)) {
+      const { 2: ourEntry, 3: theirEntry } = stages[path]
+      await resolveConflict(repo, index, ourEntry || theirEntry, mergedFiles[path])
+    }
+  }
+
+  return conflicts
+}
+
+async function resolveConflict(repo, index, conflictEntry, data) {
+  await index.conflictRemove(conflictEntry.path)
+
+  // the file has been removed
+  if (typeof data === "undefined") {
+    return
+  }
+
+  const content = Buffer.from(serialize(conflictEntry.path, data))
+  const entry = new Git.IndexEntry()
+  entry.path = conflictEntry.path
+  entry.mode = conflictEntry.mode
+  entry.fileSize = content.length
+  entry.flags = 0
+  entry.flagsExtended = 0
+  entry.id = await Git.Blob.createFromBuffer(repo, content, content.length)
+
+  await index.add(entry)
+}
+
+async function readBlob(repo, entry) {
+  if (entry) {
+    const blob = await repo.getBlob(entry.id)
+    return blob.toString()
+  }
+}
 
-  return index.entries()
-    .filter(entry => Git.Index.entryIsConflict(entry))
-    .map(entry => entry.path)
-    .filter((path, indexOfPath, self) => self.indexOf(path) === indexOfPath) // unique
-    .map(path => {
-      const content = fse.readFileSync(`${repo.workdir()}${path}`, "utf-8")
-      const conflicts = [...content.matchAll(CONFLICT_REGEXP)].map(([conflict]) => conflict)
-      return `${path}\n\n${conflicts.join("\n\n")}`
-    }).join("\n\n")
+function parseFile(path, content) {
+  return typeof content === "undefined" ? content : parse(path, content)
 }
@@ -1,52 +1,408 @@
+const crypto = require("crypto")
 const express = require("express")
 const Path = require("path")
 
-module.exports = function routes(repo, log) {
+const { JSON_PATCH, MERGE_PATCH } = require("./patch")
+const { streamJson } = require("./stream")
+
+const DEFAULT_HISTORY_LIMIT = 20
+const MAX_HISTORY_LIMIT = 100
+const DEFAULT_FILES_LIMIT = 100
+const MAX_FILES_LIMIT = 1000
+const WATCH_KEEP_ALIVE_INTERVAL = 30000
+const OVERLAYS_PATH = "overlays"
+
+/*
+  If an ACL is given, requests are checked against it using the identity set by the
+  authentication middleware.
+*/
+module.exports = function routes(repo, log, acl = null) {
   return new express.Router()
+    .post("/_fetch", fetch)
+    .get("/_branches", getBranches)
+    .post("/_branches", createBranch)
+    .delete("/_branches/*", deleteBranch)
+    .get("/_tags", getTags)
+    .post("/_tags", createTag)
+    .get("/diff/:range", getDiff)
+    .get("/diff/:range/*", getDiff)
+    .get("/:branch/watch", watch)
+    .get("/:branch/*/watch", watch)
     .get("/:version", getData)
     .get("/:version/*", getData)
     .put("/:parent", putData)
     .put("/:parent/*", putData)
+    .patch("/:parent", patchData)
+    .patch("/:parent/*", patchData)
+    .delete("/:parent/*", deleteData)
+    .post("/:parent/_batch", batch)
+    .post("/:target/_merge", merge)
+    .post("/:target/*/_merge", merge)
+    .post("/:parent/*/_move", moveData)
+    .post("/:branch/revert", revert)
+    .post("/:branch/*/revert", revert)
+
+  /*
+    Writes require read permission for the parent version and write permission for the
+    update branch.
+  */
+  function checkWritePermission(response, parent, updateBranch, path) {
+    if (updateBranch) {
+      checkPermission(response, "read", parent, path)
+      checkPermission(response, "write", updateBranch, path)
+    } else {
+      checkPermission(response, "write", parent, path)
+    }
+  }
+
+  function checkPermission(response, permission, version, path) {
+    if (acl) {
+      acl.check(response.locals.identity, permission, version, path)
+    }
+  }
+
+  async function fetch({ ip }, response) {
+    log.info({ ip }, "Fetch request received")
+
+    try {
+      await repo.fetch()
+      response.status(204).end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function getBranches({ ip }, response) {
+    log.info({ ip }, "Get branches request received")
+
+    try {
+      response.json(await repo.getBranches())
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function getTags({ ip }, response) {
+    log.info({ ip }, "Get tags request received")
+
+    try {
+      response.json(await repo.getTags())
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function createBranch({ body, ip }, response) {
+    const { name, version } = body
+
+    log.info({ ip, name, version }, "Create branch request received")
+
+    try {
+      checkReferenceBody(name, version)
+      checkWritePermission(response, version, name, "")
+
+      const commitHash = await repo.createBranch(name, version)
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.status(201).json({ name, commitHash })
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function deleteBranch({ ip, params }, response) {
+    const name = params[0]
+
+    log.info({ ip, name }, "Delete branch request received")
+
+    try {
+      checkPermission(response, "write", name, "")
+
+      await repo.deleteBranch(name)
+      response.status(204).end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
 
-  async function getData({ ip, params, query }, response) {
+  async function createTag({ body, ip }, response) {
+    const { author: providedAuthor, authorEmail, message, name, version } = body
+
+    log.info({ ip, message, name, providedAuthor, version }, "Create tag request received")
+
+    try {
+      checkReferenceBody(name, version)
+      checkWritePermission(response, version, name, "")
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+      const commitHash = await repo.createTag(name, version, author, message)
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.status(201).json({ name, commitHash })
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function getData(request, response) {
+    const { ip, params, query } = request
     const listFiles = query.listFiles === "true"
+    const resolveRefs = query.resolveRefs === "true"
+    const strictVariables = query.strictVariables === "true"
+    const environment = query.env
+    const { overlay } = query
     const path = params[0] || ""
     const version = params.version
 
-    log.info({ ip, version, path, listFiles }, "Get request received")
+    log.info(
+      { ip, version, path, listFiles, resolveRefs, environment, overlay },
+      "Get request received"
+    )
+
+    // overlay data is read from the same path within the overlay directory
+    function checkRead(readPath) {
+      checkPermission(response, "read", version, readPath)
+
+      if (typeof overlay !== "undefined") {
+        checkPermission(response, "read", version, Path.join(OVERLAYS_PATH, overlay, readPath))
+      }
+    }
+
+    try {
+      if (typeof overlay !== "undefined" && typeof overlay !== "string") {
+        const error = new Error("'overlay' must be given once")
+        error.httpCode = 400
+        throw error
+      }
+
+      checkRead(normalizePath(path))
+
+      if (query.validate === "true") {
+        return await validateData(version, path, response)
+      }
+
+      if (typeof query.history !== "undefined") {
+        return await getHistory(version, path, query, response)
+      }
+
+      if (listFiles && typeof overlay !== "undefined") {
+        const error = new Error("Overlays cannot be combined with 'listFiles'")
+        error.httpCode = 400
+        throw error
+      }
+
+      const dataQuery = getDataQuery(query)
+      const page = listFiles ? getFilesPage(query) : undefined
+      const { commitHash, data, nextCursor, variables } = await repo.getData(
+        version,
+        path,
+        listFiles,
+        {
+          checkReference: checkRead,
+          dataQuery,
+          environment,
+          overlay,
+          page,
+          resolveRefs,
+          strictVariables
+        }
+      )
+
+      // the ETag is the same for compressed and uncompressed responses
+      response.vary("Accept-Encoding")
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.setHeader("ETag", createETag(commitHash, path, listFiles, {
+        dataQuery,
+        environment,
+        overlay,
+        page,
+        resolveRefs,
+        strictVariables,
+        variables
+      }))
+
+      // data of a commit never changes, unless variables configured outside of it are applied
+      if (version.toLowerCase() === commitHash && !variables) {
+        response.setHeader("Cache-Control", "public, max-age=31536000, immutable")
+      }
+
+      if (request.fresh) {
+        response.status(304).end()
+      } else {
+        await streamJson(response, page ? { files: data, nextCursor } : data)
+      }
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
 
+  async function validateData(version, path, response) {
     try {
-      const { commitHash, data } = await repo.getData(version, path, listFiles)
+      const { commitHash, errors } = await repo.validateData(version, path)
 
       response.setHeader("Git-Commit-Hash", commitHash)
-      response.json(data)
+      response.json({ valid: errors.length === 0, errors })
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function getHistory(version, path, { offset, limit }, response) {
+    try {
+      const { commitHash, commits, hasMore } = await repo.getHistory(
+        version,
+        path,
+        Math.max(parseInt(offset, 10) || 0, 0),
+        Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT)
+      )
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.json({ commits, hasMore })
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function getDiff({ ip, params }, response) {
+    const path = params[0] || ""
+    const [from, to] = params.range.split("..")
+
+    log.info({ ip, from, to, path }, "Diff request received")
+
+    try {
+      if (!from || !to) {
+        const error = new Error("Range must be given as '<from>..<to>'")
+        error.httpCode = 400
+        throw error
+      }
+
+      checkPermission(response, "read", from, normalizePath(path))
+      checkPermission(response, "read", to, normalizePath(path))
+
+      response.json(await repo.getDiff(from, to, path))
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function watch(request, response) {
+    const { ip, params } = request
+    const providedPath = params[0] || ""
+    const branch = params.branch
+
+    log.info({ ip, branch, providedPath }, "Watch request received")
+
+    let path
+    try {
+      path = normalizePath(providedPath)
+      checkPermission(response, "read", branch, path)
+    } catch (error) {
+      return sendError(response, error)
+    }
+
+    let keepAliveInterval = null
+    let closed = false
+
+    function onChange(change) {
+      const paths = change.paths.filter(changedPath => isRelatedPath(changedPath, path))
+
+      // changes are only sent after the ready event
+      if (response.headersSent && change.branch === branch && paths.length > 0) {
+        const { commitHash: newCommitHash, previousCommitHash } = change
+        sendEvent(response, "change", newCommitHash, {
+          commitHash: newCommitHash,
+          previousCommitHash,
+          paths
+        })
+      }
+    }
+
+    function close() {
+      closed = true
+      repo.removeListener("change", onChange)
+      clearInterval(keepAliveInterval)
+    }
+
+    // registered first, so the listener is removed even if the client disconnects early
+    repo.on("change", onChange)
+    response.on("close", () => {
+      close()
+      log.info({ ip, branch, providedPath }, "Watch request closed")
+    })
+
+    let commitHash
+    try {
+      commitHash = await repo.getCommitHash(branch)
     } catch (error) {
-      log.error({ error })
-      response.status(error.httpCode || 500).json({ error: error.message })
+      close()
+      return sendError(response, error)
     }
+
+    if (closed) {
+      return
+    }
+
+    response.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+      "Git-Commit-Hash": commitHash
+    })
+    sendEvent(response, "ready", commitHash, { commitHash })
+
+    // comments keep proxies from closing idle connections
+    keepAliveInterval = setInterval(
+      () => response.write(": keep-alive\n\n"),
+      WATCH_KEEP_ALIVE_INTERVAL
+    )
   }
 
-  async function putData({ body, ip, params }, response) {
+  async function putData(request, response) {
     try {
+      const { body, ip, params } = request
       const providedPath = params[0] || ""
       const parent = params.parent
-      const { author: providedAuthor, fileContent, files, updateBranch } = body
+      const {
+        author: providedAuthor,
+        authorEmail,
+        fileContent,
+        files,
+        message,
+        strict,
+        updateBranch
+      } = body
+      const expectedVersion = getExpectedVersion(request, parent, strict === true)
 
       log.info(
-        { providedAuthor, fileContent, files, ip, parent, providedPath, updateBranch },
+        {
+          expectedVersion,
+          providedAuthor,
+          authorEmail,
+          fileContent,
+          files,
+          ip,
+          message,
+          parent,
+          providedPath,
+          updateBranch
+        },
         "Put request received"
       )
 
-      const { dir, base } = Path.parse(providedPath)
-      const path = Path.join(dir, base)
-      const author = `${providedAuthor || "Request"} from ${ip}`
+      const path = normalizePath(providedPath)
+      checkWritePermission(response, parent, updateBranch, path)
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+      const options = { expectedVersion, message }
 
       let commitHash
       if (files) {
-        commitHash = await repo.replaceDirectory(parent, updateBranch, path, author, files)
+        commitHash =
+          await repo.replaceDirectory(parent, updateBranch, path, author, files, options)
       } else {
         if (fileContent) {
-          commitHash = await repo.replaceFile(parent, updateBranch, path, author, fileContent)
+          commitHash =
+            await repo.replaceFile(parent, updateBranch, path, author, fileContent, options)
         } else {
           throw new Error("Missing 'files' or 'fileContent'")
         }
@@ -55,8 +411,457 @@ module.exports = function routes(repo, log) {
       response.setHeader("Git-Commit-Hash", commitHash)
       response.end()
     } catch (error) {
-      log.error({ error })
-      response.status(500).json({ error: error.message })
+      sendError(response, error)
     }
   }
+
+  async function patchData(request, response) {
+    try {
+      const { body, ip, params, query } = request
+      const providedPath = params[0] || ""
+      const parent = params.parent
+      const { author: providedAuthor, authorEmail, message, updateBranch } = query
+      const type = request.is(JSON_PATCH, MERGE_PATCH)
+      const expectedVersion = getExpectedVersion(request, parent, query.strict === "true")
+
+      log.info(
+        {
+          providedAuthor,
+          authorEmail,
+          body,
+          expectedVersion,
+          ip,
+          message,
+          parent,
+          providedPath,
+          type,
+          updateBranch
+        },
+        "Patch request received"
+      )
+
+      if (!type) {
+        const error = new Error(`Content-Type must be '${JSON_PATCH}' or '${MERGE_PATCH}'`)
+        error.httpCode = 415
+        throw error
+      }
+
+      const path = normalizePath(providedPath)
+      checkWritePermission(response, parent, updateBranch, path)
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+
+      const commitHash = await repo.patchData(
+        parent, updateBranch, path, author, type, body, { expectedVersion, message }
+      )
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function deleteData(request, response) {
+    try {
+      const { ip, params, query } = request
+      const providedPath = params[0]
+      const parent = params.parent
+      const { author: providedAuthor, authorEmail, message, updateBranch } = query
+      const expectedVersion = getExpectedVersion(request, parent, query.strict === "true")
+
+      log.info(
+        {
+          expectedVersion,
+          providedAuthor,
+          authorEmail,
+          ip,
+          message,
+          parent,
+          providedPath,
+          updateBranch
+        },
+        "Delete request received"
+      )
+
+      const path = normalizePath(providedPath)
+      checkWritePermission(response, parent, updateBranch, path)
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+
+      const commitHash = await repo.deleteData(
+        parent, updateBranch, path, author, { expectedVersion, message }
+      )
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function moveData(request, response) {
+    try {
+      const { body, ip, params } = request
+      const providedPath = params[0]
+      const parent = params.parent
+      const {
+        author: providedAuthor,
+        authorEmail,
+        message,
+        strict,
+        to: providedTo,
+        updateBranch
+      } = body
+      const expectedVersion = getExpectedVersion(request, parent, strict === true)
+
+      log.info(
+        {
+          expectedVersion,
+          providedAuthor,
+          authorEmail,
+          ip,
+          message,
+          parent,
+          providedPath,
+          providedTo,
+          updateBranch
+        },
+        "Move request received"
+      )
+
+      if (typeof providedTo !== "string") {
+        const error = new Error("Missing 'to'")
+        error.httpCode = 400
+        throw error
+      }
+
+      const path = normalizePath(providedPath)
+      const to = normalizePath(providedTo)
+      checkWritePermission(response, parent, updateBranch, path)
+      checkWritePermission(response, parent, updateBranch, to)
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+      const options = { expectedVersion, message }
+
+      const commitHash = await repo.moveData(parent, updateBranch, path, to, author, options)
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function merge(request, response) {
+    try {
+      const { body, ip, params } = request
+      const providedPath = params[0] || ""
+      const target = params.target
+      const { author: providedAuthor, authorEmail, dryRun, message, source } = body
+      const expectedVersion = getExpectedVersion(request, target, false)
+
+      log.info(
+        {
+          expectedVersion,
+          providedAuthor,
+          authorEmail,
+          dryRun,
+          ip,
+          message,
+          providedPath,
+          source,
+          target
+        },
+        "Merge request received"
+      )
+
+      if (typeof source !== "string") {
+        const error = new Error("Missing 'source'")
+        error.httpCode = 400
+        throw error
+      }
+
+      const path = normalizePath(providedPath)
+      checkWritePermission(response, source, target, path)
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+      const result = await repo.mergeVersion(
+        target, source, path, author, { dryRun: dryRun === true, expectedVersion, message }
+      )
+
+      response.setHeader("Git-Commit-Hash", result.commitHash)
+      response.json(result)
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function batch(request, response) {
+    try {
+      const { body, ip, params } = request
+      const parent = params.parent
+      const {
+        author: providedAuthor,
+        authorEmail,
+        message,
+        operations: providedOperations,
+        strict,
+        updateBranch
+      } = body
+      const expectedVersion = getExpectedVersion(request, parent, strict === true)
+
+      log.info(
+        {
+          expectedVersion,
+          providedAuthor,
+          authorEmail,
+          ip,
+          message,
+          operations: providedOperations,
+          parent,
+          updateBranch
+        },
+        "Batch request received"
+      )
+
+      if (!Array.isArray(providedOperations)) {
+        const error = new Error("Missing 'operations'")
+        error.httpCode = 400
+        throw error
+      }
+
+      const operations = providedOperations.map(operation => ({
+        ...operation,
+        path: typeof operation.path === "string" ? normalizePath(operation.path) : operation.path,
+        to: typeof operation.to === "string" ? normalizePath(operation.to) : operation.to
+      }))
+
+      for (const { path, to } of operations) {
+        for (const operationPath of [path, to]) {
+          if (typeof operationPath === "string") {
+            checkWritePermission(response, parent, updateBranch, operationPath)
+          }
+        }
+      }
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+      const options = { expectedVersion, message }
+
+      const commitHash =
+        await repo.applyOperations(parent, updateBranch, author, operations, options)
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  async function revert(request, response) {
+    try {
+      const { body, ip, params } = request
+      const providedPath = params[0] || ""
+      const branch = params.branch
+      const {
+        author: providedAuthor,
+        authorEmail,
+        message,
+        restore,
+        revert: revertCommit,
+        strict
+      } = body
+      const expectedVersion = getExpectedVersion(request, branch, strict === true)
+
+      log.info(
+        {
+          expectedVersion,
+          providedAuthor,
+          authorEmail,
+          ip,
+          branch,
+          message,
+          providedPath,
+          restore,
+          revertCommit
+        },
+        "Revert request received"
+      )
+
+      const path = normalizePath(providedPath)
+      checkPermission(response, "write", branch, path)
+
+      if (restore) {
+        checkPermission(response, "read", restore, path)
+      }
+
+      const author = getAuthor(ip, response, providedAuthor, authorEmail)
+      const options = { expectedVersion, message }
+
+      let commitHash
+      if (restore) {
+        commitHash = await repo.restorePath(branch, path, author, restore, options)
+      } else if (revertCommit) {
+        commitHash = await repo.revertCommit(branch, path, author, revertCommit, options)
+      } else {
+        const error = new Error("Missing 'restore' or 'revert'")
+        error.httpCode = 400
+        throw error
+      }
+
+      response.setHeader("Git-Commit-Hash", commitHash)
+      response.end()
+    } catch (error) {
+      sendError(response, error)
+    }
+  }
+
+  function sendError(response, error) {
+    log.error({ error })
+
+    // a partially sent response cannot be turned into an error response
+    if (response.headersSent) {
+      response.destroy()
+      return
+    }
+
+    // tells the client the current version to base a retry on
+    if (error.commitHash) {
+      response.setHeader("Git-Commit-Hash", error.commitHash)
+    }
+
+    response.status(error.httpCode || 500).json({
+      error: error.message,
+      commitHash: error.commitHash,
+      conflicts: error.conflicts,
+      validationErrors: error.validationErrors,
+      undefinedVariables: error.undefinedVariables
+    })
+  }
+}
+
+/*
+  The update branch is expected to still point to the commit given in the If-Match header
+  or, in strict mode, to the parent version.
+*/
+function getExpectedVersion(request, parent, strict) {
+  const ifMatch = request.get("If-Match")
+
+  if (ifMatch === "*") {
+    return undefined
+  } else if (ifMatch) {
+    // ETags returned by GET start with the commit hash
+    return ifMatch.replace(/^(W\/)?"(.*)"$/, "$2").replace(/^([0-9a-f]{40})-[0-9a-f]+$/i, "$1")
+  } else if (strict) {
+    return parent
+  }
+}
+
+/*
+  Returns the query, field projection and depth limit of a GET request if any of them is given.
+*/
+function getDataQuery({ query, fields, depth }) {
+  if ([query, fields, depth].every(value => typeof value === "undefined")) {
+    return undefined
+  }
+
+  // repeated query parameters are parsed as arrays
+  const fieldList = typeof fields === "undefined" ? undefined : [].concat(fields)
+  const values = [query, depth, ...fieldList || []]
+
+  if (values.some(value => typeof value !== "undefined" && typeof value !== "string")) {
+    const error = new Error("'query' and 'depth' must be given once, 'fields' as strings")
+    error.httpCode = 400
+    throw error
+  }
+
+  if (typeof depth !== "undefined" && !/^\d+$/.test(depth)) {
+    const error = new Error("Depth must be a non-negative integer")
+    error.httpCode = 400
+    throw error
+  }
+
+  return {
+    query,
+    fields: fieldList && fieldList.join(",").split(",").filter(Boolean),
+    depth: typeof depth === "undefined" ? undefined : parseInt(depth, 10)
+  }
+}
+
+/*
+  Returns the cursor and limit to page through listed files if any of them is given.
+*/
+function getFilesPage({ cursor, limit }) {
+  if (typeof cursor === "undefined" && typeof limit === "undefined") {
+    return undefined
+  }
+
+  return {
+    cursor,
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_FILES_LIMIT, 1), MAX_FILES_LIMIT)
+  }
+}
+
+/*
+  Authenticated requests are committed as their identity, others by the provided author.
+*/
+function getAuthor(ip, response, providedAuthor, providedEmail) {
+  const { identity } = response.locals
+
+  if (identity) {
+    return { name: identity.name, email: identity.email }
+  }
+
+  return { name: `${providedAuthor || "Request"} from ${ip}`, email: providedEmail }
+}
+
+/*
+  Throws an error with status 400 for paths outside of the repo.
+*/
+function normalizePath(providedPath) {
+  if (!providedPath) {
+    return ""
+  }
+
+  const { dir, base } = Path.parse(providedPath)
+  const path = Path.join(dir, base)
+
+  if (Path.isAbsolute(path) || path === ".." || path.startsWith(`..${Path.sep}`)) {
+    const error = new Error(`Invalid path '${providedPath}'`)
+    error.httpCode = 400
+    throw error
+  }
+
+  return path
+}
+
+function checkReferenceBody(name, version) {
+  if (typeof name !== "string" || typeof version !== "string") {
+    const error = new Error("Missing 'name' or 'version'")
+    error.httpCode = 400
+    throw error
+  }
+}
+
+function sendEvent(response, event, id, data) {
+  response.write(`event: ${event}\nid: ${id}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+/*
+  A changed path is related to the watched path if it is the path itself, lies below it or
+  contains it.
+*/
+function isRelatedPath(changedPath, path) {
+  return path === "" ||
+    changedPath === path ||
+    changedPath.startsWith(`${path}/`) ||
+    path.startsWith(`${changedPath}/`)
+}
+
+function createETag(commitHash, path, listFiles, options) {
+  const hash = crypto.createHash("sha1")
+    .update(`${path}:${listFiles}:${JSON.stringify(options)}`)
+    .digest("hex")
+
+  return `"${commitHash}-${hash}"`
 }
@@ -0,0 +1,40 @@
+const { spawn } = require("child_process")
+
+const SIGNING_COMMANDS = {
+  gpg: key => ["gpg", ["--batch", "--detach-sign", "--armor", "--local-user", key]],
+  ssh: key => ["ssh-keygen", ["-Y", "sign", "-n", "git", "-f", key]]
+}
+
+/*
+  Returns a function which resolves to the signature of the given commit data created with a
+  GPG key id or the path of an SSH private key.
+*/
+module.exports.createCommitSigner = function createCommitSigner(format, key) {
+  if (!SIGNING_COMMANDS[format]) {
+    throw new Error(`Invalid commit signing format: '${format}'`)
+  }
+
+  const [command, args] = SIGNING_COMMANDS[format](key)
+  return data => sign(command, args, data)
+}
+
+function sign(command, args, data) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args)
+    let stdout = ""
+    let stderr = ""
+
+    child.stdout.on("data", chunk => { stdout += chunk })
+    child.stderr.on("data", chunk => { stderr += chunk })
+    child.on("error", reject)
+    child.on("close", code => {
+      if (code === 0) {
+        resolve(stdout)
+      } else {
+        reject(new Error(`Signing commit failed: ${stderr.trim()}`))
+      }
+    })
+
+    child.stdin.end(data)
+  })
+}
@@ -0,0 +1,89 @@
+const CHUNK_SIZE = 64 * 1024
+
+/*
+  Sends the data as JSON in chunks instead of serializing it at once. The event loop is released
+  after every chunk and writing pauses while the response is not drained, so huge responses
+  neither block other requests nor buffer completely in memory.
+*/
+module.exports.streamJson = async function streamJson(response, data) {
+  let closed = false
+  response.on("close", () => { closed = true })
+
+  response.setHeader("Content-Type", "application/json; charset=utf-8")
+
+  let chunk = ""
+  for (const part of serialize(data)) {
+    chunk += part
+
+    if (chunk.length >= CHUNK_SIZE) {
+      // the client is gone, the remaining data is discarded
+      if (closed) {
+        response.destroy()
+        return
+      }
+
+      await write(response, chunk)
+      chunk = ""
+    }
+  }
+
+  response.end(chunk)
+}
+
+/*
+  Yields the parts of the JSON text equal to JSON.stringify(value).
+*/
+function* serialize(value) {
+  if (Array.isArray(value)) {
+    yield "["
+
+    for (let index = 0; index < value.length; index++) {
+      if (index > 0) {
+        yield ","
+      }
+
+      yield* typeof value[index] === "undefined" ? ["null"] : serialize(value[index])
+    }
+
+    yield "]"
+  } else if (isPlainObject(value)) {
+    yield "{"
+
+    let first = true
+    for (const key of Object.keys(value)) {
+      if (typeof value[key] !== "undefined") {
+        yield `${first ? "" : ","}${JSON.stringify(key)}:`
+        yield* serialize(value[key])
+        first = false
+      }
+    }
+
+    yield "}"
+  } else {
+    yield JSON.stringify(value)
+  }
+}
+
+// other objects like dates are serialized as a whole
+function isPlainObject(value) {
+  return value !== null &&
+    typeof value === "object" &&
+    typeof value.toJSON !== "function"
+}
+
+function write(response, chunk) {
+  return new Promise(resolve => {
+    if (response.write(chunk)) {
+      setImmediate(resolve)
+    } else {
+      const done = () => {
+        response.off("drain", done)
+        response.off("close", done)
+        resolve()
+      }
+
+      response.on("drain", done)
+      response.on("close", done)
+    }
+  })
+}
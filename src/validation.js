@@ -0,0 +1,40 @@
+const Ajv = require("ajv")
+
+// schema objects are shared between commits, therefore compiled schemas can be reused
+const validators = new WeakMap()
+
+/*
+  Validates data against a JSON schema and returns the JSON pointers and messages of all errors.
+*/
+module.exports.validate = function validate(schema, data) {
+  const validator = getValidator(schema)
+
+  if (validator(data)) {
+    return []
+  } else {
+    return validator.errors.map(({ dataPath, message }) => ({ path: dataPath, message }))
+  }
+}
+
+function getValidator(schema) {
+  if (typeof schema !== "object" || schema === null) {
+    return compile(schema)
+  }
+
+  if (!validators.has(schema)) {
+    validators.set(schema, compile(schema))
+  }
+
+  return validators.get(schema)
+}
+
+function compile(schema) {
+  // different versions of a schema can share the same id
+  const ajv = new Ajv({ allErrors: true, jsonPointers: true })
+
+  try {
+    return ajv.compile(schema)
+  } catch (error) {
+    throw new Error(`Invalid schema: ${error.message}`)
+  }
+}
@@ -0,0 +1,92 @@
+const mapValues = require("lodash.mapvalues")
+
+const { isObject } = require("./json")
+
+const VARIABLE_REGEXP = /\$\{([A-Za-z_][\w.-]*)\}/g
+const SINGLE_VARIABLE_REGEXP = /^\$\{([A-Za-z_][\w.-]*)\}$/
+
+/*
+  Returns the variables given as environment variables with the prefix, which is removed from
+  their names. Values are parsed as JSON if possible and used as strings otherwise.
+*/
+module.exports.readPrefixedVariables = function readPrefixedVariables(env, prefix) {
+  const variables = {}
+
+  for (const name of Object.keys(env)) {
+    if (name.startsWith(prefix) && name.length > prefix.length) {
+      variables[name.slice(prefix.length)] = parseValue(env[name])
+    }
+  }
+
+  return variables
+}
+
+/*
+  Replaces "${name}" in string values by the variable. A string consisting of a single variable
+  is replaced by its value of any type, otherwise the value is inserted as text.
+  Undefined variables are left unchanged or, in strict mode, all reported at once.
+  The given data is never modified.
+*/
+module.exports.substituteVariables = function substituteVariables(
+  data,
+  variables,
+  { strict = false } = {}
+) {
+  const undefinedVariables = new Set()
+
+  function isDefined(name) {
+    if (Object.prototype.hasOwnProperty.call(variables, name)) {
+      return true
+    }
+
+    undefinedVariables.add(name)
+    return false
+  }
+
+  function substitute(value) {
+    if (Array.isArray(value)) {
+      return value.map(substitute)
+    }
+
+    if (isObject(value)) {
+      return mapValues(value, substitute)
+    }
+
+    if (typeof value !== "string") {
+      return value
+    }
+
+    const match = value.match(SINGLE_VARIABLE_REGEXP)
+
+    if (match) {
+      return isDefined(match[1]) ? variables[match[1]] : value
+    }
+
+    return value.replace(VARIABLE_REGEXP, (text, name) => {
+      if (!isDefined(name)) {
+        return text
+      }
+
+      return typeof variables[name] === "string" ? variables[name] : JSON.stringify(variables[name])
+    })
+  }
+
+  const result = substitute(data)
+
+  if (strict && undefinedVariables.size > 0) {
+    const error = new Error(`Undefined variables: ${[...undefinedVariables].join(", ")}`)
+    error.httpCode = 422
+    error.undefinedVariables = [...undefinedVariables]
+    throw error
+  }
+
+  return result
+}
+
+function parseValue(value) {
+  try {
+    return JSON.parse(value)
+  } catch (error) {
+    return value
+  }
+}
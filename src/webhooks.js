@@ -0,0 +1,168 @@
+const crypto = require("crypto")
+const fse = require("fs-extra")
+const http = require("http")
+const https = require("https")
+const minimatch = require("minimatch")
+const { URL } = require("url")
+
+const DELIVERY_HEADER = "Git-Json-Api-Delivery"
+const SIGNATURE_HEADER = "Git-Json-Api-Signature"
+
+/*
+  Posts the changes of the repo to the configured URLs. Webhooks can be restricted to branches
+  and changed paths using glob patterns. Failed deliveries are retried with an exponential
+  backoff and every attempt is appended to the delivery log.
+*/
+module.exports = class Webhooks {
+  constructor(webhooks, {
+    log,
+    deliveryLogPath,
+    maxAttempts = 5,
+    retryDelay = 1000,
+    timeout = 10000
+  }) {
+    validateWebhooks(webhooks)
+
+    this.webhooks = webhooks
+    this.log = log
+    this.deliveryLogPath = deliveryLogPath
+    this.maxAttempts = maxAttempts
+    this.retryDelay = retryDelay
+    this.timeout = timeout
+  }
+
+  async handleChange({ branch, commitHash, previousCommitHash, author, paths }) {
+    const deliveries = []
+
+    for (const webhook of this.webhooks) {
+      const { branches, paths: pathPatterns } = webhook
+      const matchingPaths = pathPatterns
+        ? paths.filter(path => matchesAny(path, pathPatterns))
+        : paths
+
+      if ((!branches || matchesAny(branch, branches)) && matchingPaths.length > 0) {
+        const payload = { branch, commitHash, previousCommitHash, author, paths: matchingPaths }
+        deliveries.push(this.deliver(webhook, payload))
+      }
+    }
+
+    return Promise.all(deliveries)
+  }
+
+  /*
+    Resolves to true if the webhook responded with a 2xx status within the maximum attempts.
+  */
+  async deliver({ url, secret }, payload) {
+    const id = crypto.randomBytes(16).toString("hex")
+    const body = JSON.stringify(payload)
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(body),
+      [DELIVERY_HEADER]: id
+    }
+
+    if (secret) {
+      const signature = crypto.createHmac("sha256", secret).update(body).digest("hex")
+      headers[SIGNATURE_HEADER] = `sha256=${signature}`
+    }
+
+    for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+      let status
+      let error
+
+      try {
+        status = await post(url, headers, body, this.timeout)
+      } catch (requestError) {
+        error = requestError.message
+      }
+
+      await this.logDelivery({ id, url, commitHash: payload.commitHash, attempt, status, error })
+
+      if (status >= 200 && status < 300) {
+        return true
+      }
+
+      if (attempt < this.maxAttempts) {
+        await delay(this.retryDelay * 2 ** (attempt - 1))
+      }
+    }
+
+    this.log.error({ id, url, commitHash: payload.commitHash }, "Webhook delivery failed")
+    return false
+  }
+
+  async logDelivery(delivery) {
+    const entry = { date: new Date().toISOString(), ...delivery }
+
+    try {
+      await fse.appendFile(this.deliveryLogPath, `${JSON.stringify(entry)}\n`)
+    } catch (error) {
+      this.log.error({ error }, "Writing webhook delivery log failed")
+    }
+  }
+}
+
+module.exports.DELIVERY_HEADER = DELIVERY_HEADER
+module.exports.SIGNATURE_HEADER = SIGNATURE_HEADER
+
+function validateWebhooks(webhooks) {
+  if (!Array.isArray(webhooks)) {
+    throw new Error("Webhooks must be an array")
+  }
+
+  webhooks.forEach(({ url, secret, branches, paths }, index) => {
+    if (!url) {
+      throw new Error(`Missing 'url' in webhook ${index}`)
+    }
+
+    if (!isHttpUrl(url)) {
+      throw new Error(`Invalid 'url' in webhook ${index}, expected an HTTP(S) URL`)
+    }
+
+    if (secret !== undefined && (typeof secret !== "string" || !secret)) {
+      throw new Error(`Invalid 'secret' in webhook ${index}, expected a non-empty string`)
+    }
+
+    for (const [name, patterns] of Object.entries({ branches, paths })) {
+      if (patterns !== undefined && !isStringArray(patterns)) {
+        throw new Error(`Invalid '${name}' in webhook ${index}, expected an array of patterns`)
+      }
+    }
+  })
+}
+
+function isHttpUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol)
+  } catch (error) {
+    return false
+  }
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item === "string")
+}
+
+function matchesAny(value, patterns) {
+  return patterns.some(pattern => minimatch(value, pattern))
+}
+
+function post(url, headers, body, timeout) {
+  return new Promise((resolve, reject) => {
+    const { protocol } = new URL(url)
+    const client = protocol === "https:" ? https : http
+
+    const request = client.request(url, { method: "POST", headers, timeout }, response => {
+      response.resume()
+      resolve(response.statusCode)
+    })
+
+    request.on("timeout", () => request.abort())
+    request.on("error", reject)
+    request.end(body)
+  })
+}
+
+function delay(milliseconds) {
+  return new Promise(resolve => setTimeout(resolve, milliseconds))
+}
@@ -0,0 +1,53 @@
+const Acl = require("../src/acl")
+
+describe("ACL", () => {
+  const jane = { id: "jane" }
+  const ci = { id: "ci-deploy" }
+
+  const acl = new Acl([
+    { identities: ["anonymous"], branches: ["master"], permissions: ["read"] },
+    { identities: ["jane"], permissions: ["read", "write"] },
+    {
+      identities: ["ci-*"],
+      branches: ["release/*"],
+      paths: ["dir", "dir/**"],
+      permissions: ["write"]
+    }
+  ])
+
+  test("grants permissions to matching identities", () => {
+    expect(acl.isAllowed(jane, "write", "feature", "rootFile")).toBe(true)
+    expect(acl.isAllowed(ci, "write", "release/1.0", "dir/nestedFile")).toBe(true)
+    expect(acl.isAllowed(undefined, "read", "master", "")).toBe(true)
+  })
+
+  test("denies permissions outside of branches and paths", () => {
+    expect(acl.isAllowed(ci, "write", "master", "dir/nestedFile")).toBe(false)
+    expect(acl.isAllowed(ci, "write", "release/1.0", "rootFile")).toBe(false)
+    expect(acl.isAllowed(ci, "write", "release/1.0", "")).toBe(false)
+    expect(acl.isAllowed(ci, "read", "release/1.0", "dir")).toBe(false)
+    expect(acl.isAllowed(undefined, "write", "master", "")).toBe(false)
+  })
+
+  test("grants all permissions to authenticated identities by default", () => {
+    const defaultAcl = new Acl()
+
+    expect(defaultAcl.isAllowed(jane, "write", "master", "")).toBe(true)
+    expect(defaultAcl.isAllowed(undefined, "read", "master", "")).toBe(false)
+  })
+
+  test("throws error with status 401 for missing identity", () => {
+    expect(() => acl.check(undefined, "write", "master", ""))
+      .toThrow(expect.objectContaining({ httpCode: 401 }))
+  })
+
+  test("throws error with status 403 for denied identity", () => {
+    expect(() => acl.check(ci, "read", "master", ""))
+      .toThrow(expect.objectContaining({ httpCode: 403 }))
+  })
+
+  test("throws error for invalid permissions", () => {
+    expect(() => new Acl([{ identities: ["*"], permissions: ["delete"] }]))
+      .toThrow("Invalid permission 'delete' in ACL rule 0")
+  })
+})
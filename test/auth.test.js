@@ -0,0 +1,68 @@
+const jwt = require("jsonwebtoken")
+
+const { authenticate } = require("../src/auth")
+
+describe("Authenticate", () => {
+  const tokens = { "api-token": { id: "ci", name: "CI", email: "ci@example.com" } }
+  const jwtKey = "secret"
+
+  function run(middleware, authorization) {
+    const request = { get: () => authorization }
+    const response = { locals: {}, status: jest.fn(), json: jest.fn() }
+    response.status.mockReturnValue(response)
+    const next = jest.fn()
+
+    middleware(request, response, next)
+
+    return { response, next }
+  }
+
+  test("accepts requests without credentials", () => {
+    const { response, next } = run(authenticate({ tokens }))
+
+    expect(next).toHaveBeenCalled()
+    expect(response.locals.identity).toBeUndefined()
+  })
+
+  test("sets the identity of an API token", () => {
+    const { response, next } = run(authenticate({ tokens }), "Bearer api-token")
+
+    expect(next).toHaveBeenCalled()
+    expect(response.locals.identity).toEqual({ id: "ci", name: "CI", email: "ci@example.com" })
+  })
+
+  test("sets the identity of a JWT", () => {
+    const token = jwt.sign({ sub: "jane", email: "jane@example.com" }, jwtKey)
+    const { response, next } = run(authenticate({ tokens, jwtKey }), `Bearer ${token}`)
+
+    expect(next).toHaveBeenCalled()
+    expect(response.locals.identity).toEqual({
+      id: "jane",
+      name: "jane",
+      email: "jane@example.com"
+    })
+  })
+
+  test("rejects invalid tokens with status 401", () => {
+    const token = jwt.sign({ sub: "jane" }, "other secret")
+    const { response, next } = run(authenticate({ tokens, jwtKey }), `Bearer ${token}`)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(response.status).toHaveBeenCalledWith(401)
+  })
+
+  test("rejects expired JWTs with status 401", () => {
+    const token = jwt.sign({ sub: "jane", exp: Math.floor(Date.now() / 1000) - 60 }, jwtKey)
+    const { response, next } = run(authenticate({ tokens, jwtKey }), `Bearer ${token}`)
+
+    expect(next).not.toHaveBeenCalled()
+    expect(response.status).toHaveBeenCalledWith(401)
+  })
+
+  test("rejects JWTs without verification key with status 401", () => {
+    const token = jwt.sign({ sub: "jane" }, jwtKey)
+    const { response } = run(authenticate({ tokens }), `Bearer ${token}`)
+
+    expect(response.status).toHaveBeenCalledWith(401)
+  })
+})
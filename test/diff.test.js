@@ -0,0 +1,26 @@
+const { diffData } = require("../src/diff")
+
+describe("Diff Data", () => {
+  test("returns no changes for equal data", () => {
+    expect(diffData({ foo: ["bar"] }, { foo: ["bar"] })).toEqual([])
+  })
+
+  test("returns added, removed and changed nodes", () => {
+    const oldData = { foo: "bar", removed: 1, nested: { "a/b": 1, "list": [1] } }
+    const newData = { foo: "baz", nested: { "a/b": 1, "list": [1, 2], "added": true } }
+
+    expect(diffData(oldData, newData)).toEqual([
+      { type: "changed", path: "/foo", oldValue: "bar", newValue: "baz" },
+      { type: "removed", path: "/removed", oldValue: 1 },
+      { type: "changed", path: "/nested/list", oldValue: [1], newValue: [1, 2] },
+      { type: "added", path: "/nested/added", newValue: true }
+    ])
+  })
+
+  test("returns changes of the root node", () => {
+    expect(diffData(undefined, "foo")).toEqual([{ type: "added", path: "", newValue: "foo" }])
+    expect(diffData({ foo: "bar" }, ["foo"])).toEqual([
+      { type: "changed", path: "", oldValue: { foo: "bar" }, newValue: ["foo"] }
+    ])
+  })
+})
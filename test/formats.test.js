@@ -0,0 +1,58 @@
+const {
+  getExtension,
+  isDataFile,
+  isSchemaFile,
+  parse,
+  registerFormat,
+  removeExtension,
+  serialize
+} = require("../src/formats")
+
+describe("Formats", () => {
+  test("recognizes data and schema files by extension", () => {
+    expect(isDataFile("dir/file.json")).toBe(true)
+    expect(isDataFile("dir/file.yml")).toBe(true)
+    expect(isDataFile("dir/file.schema.yaml")).toBe(false)
+    expect(isDataFile("dir/file.txt")).toBe(false)
+    expect(isSchemaFile("dir/file.schema.json5")).toBe(true)
+    expect(isSchemaFile("dir/file.json")).toBe(false)
+  })
+
+  test("ignores hidden files and directories", () => {
+    expect(isDataFile(".gitlab-ci.yml")).toBe(false)
+    expect(isDataFile(".github/workflows/ci.yaml")).toBe(false)
+    expect(isSchemaFile("dir/.file.schema.json")).toBe(false)
+  })
+
+  test("removes the extension", () => {
+    expect(getExtension("dir/file.yaml")).toBe(".yaml")
+    expect(removeExtension("dir/file.yaml")).toBe("dir/file")
+    expect(removeExtension("dir/file.schema.json")).toBe("dir/file.schema")
+    expect(removeExtension("dir/file")).toBe("dir/file")
+  })
+
+  test("parses and serializes JSON leniently", () => {
+    expect(parse("file.json", "{ foo: 'bar', }")).toEqual({ foo: "bar" })
+    expect(serialize("file.json", { foo: "bar" })).toBe("{\n  \"foo\": \"bar\"\n}\n")
+  })
+
+  test("parses and serializes YAML", () => {
+    expect(parse("file.yaml", "foo: bar\nlist:\n  - 1\n")).toEqual({ foo: "bar", list: [1] })
+    expect(serialize("file.yml", { foo: "bar", list: [1] })).toBe("foo: bar\nlist:\n  - 1\n")
+  })
+
+  test("throws for invalid content", () => {
+    expect(() => parse("file.yaml", "foo: [")).toThrow()
+  })
+
+  test("uses registered formats", () => {
+    registerFormat(".txt", {
+      parse: content => content.trim().split("\n"),
+      serialize: data => `${data.join("\n")}\n`
+    })
+
+    expect(isDataFile("file.txt")).toBe(true)
+    expect(parse("file.txt", "a\nb\n")).toEqual(["a", "b"])
+    expect(serialize("file.txt", ["a", "b"])).toBe("a\nb\n")
+  })
+})
@@ -2,11 +2,13 @@ const { execFileSync } = require("child_process")
 const fse = require("fs-extra")
 const tmp = require("tmp")
 
-module.exports.createTempDir = () => tmp.dirSync().name
+const createTempDir = () => tmp.dirSync().name
+
+module.exports.createTempDir = createTempDir
 
 module.exports.copyAll = (fromDir, toDir) => fse.copy(fromDir, toDir)
 
-module.exports.createGitFunctions = workingRepoDir => {
+const createGitFunctions = workingRepoDir => {
   function git(...args) {
     return execFileSync("git", args, { cwd: workingRepoDir, stdio: "pipe" })
       .toString()
@@ -22,3 +24,20 @@ module.exports.createGitFunctions = workingRepoDir => {
 
   return { git, commit }
 }
+
+module.exports.createGitFunctions = createGitFunctions
+
+/*
+  Creates a bare origin repo and a clone of it in the helper dir, whose git functions are used to
+  push test data into the origin repo.
+*/
+module.exports.createOriginRepo = () => {
+  const dir = createTempDir()
+  const helperDir = createTempDir()
+  const { git, commit } = createGitFunctions(helperDir)
+
+  git("init", "--bare", dir)
+  git("clone", dir, helperDir)
+
+  return { dir, helperDir, git, commit }
+}
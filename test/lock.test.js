@@ -0,0 +1,79 @@
+const Lock = require("../src/lock")
+
+describe("Lock", () => {
+  let lock
+  let events
+
+  beforeEach(() => {
+    lock = new Lock()
+    events = []
+  })
+
+  function track(promise, event) {
+    return promise.then(() => events.push(event))
+  }
+
+  test("grants shared locks concurrently", async () => {
+    await Promise.all([
+      track(lock.lockShared(), "read1"),
+      track(lock.lockShared(), "read2")
+    ])
+
+    expect(events).toEqual(["read1", "read2"])
+    expect(lock.sharedCount).toBe(2)
+  })
+
+  test("grants exclusive locks one after another", async () => {
+    await lock.lock()
+    const second = track(lock.lock(), "write2")
+
+    await Promise.resolve()
+    expect(events).toEqual([])
+
+    lock.unlock()
+    await second
+    expect(events).toEqual(["write2"])
+  })
+
+  test("exclusive lock waits for shared locks", async () => {
+    await lock.lockShared()
+    await lock.lockShared()
+    const write = track(lock.lock(), "write")
+
+    lock.unlockShared()
+    await Promise.resolve()
+    expect(events).toEqual([])
+
+    lock.unlockShared()
+    await write
+    expect(events).toEqual(["write"])
+  })
+
+  test("shared locks wait for exclusive lock", async () => {
+    await lock.lock()
+    const read1 = track(lock.lockShared(), "read1")
+    const read2 = track(lock.lockShared(), "read2")
+
+    await Promise.resolve()
+    expect(events).toEqual([])
+
+    lock.unlock()
+    await Promise.all([read1, read2])
+    expect(events).toEqual(["read1", "read2"])
+  })
+
+  test("waiting exclusive lock is not starved by new shared locks", async () => {
+    await lock.lockShared()
+    const write = track(lock.lock(), "write")
+    const read = track(lock.lockShared(), "read")
+
+    lock.unlockShared()
+    await write
+    await Promise.resolve()
+    expect(events).toEqual(["write"])
+
+    lock.unlock()
+    await read
+    expect(events).toEqual(["write", "read"])
+  })
+})
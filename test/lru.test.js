@@ -0,0 +1,53 @@
+const LRU = require("../src/lru")
+
+describe("LRU", () => {
+  test("returns stored values", () => {
+    const lru = new LRU(2)
+    lru.set("a", 1)
+
+    expect(lru.has("a")).toBe(true)
+    expect(lru.get("a")).toBe(1)
+    expect(lru.has("b")).toBe(false)
+    expect(lru.get("b")).toBeUndefined()
+  })
+
+  test("evicts least recently used entries", () => {
+    const lru = new LRU(2)
+    lru.set("a", 1)
+    lru.set("b", 2)
+    lru.get("a")
+    lru.set("c", 3)
+
+    expect(lru.has("a")).toBe(true)
+    expect(lru.has("b")).toBe(false)
+    expect(lru.has("c")).toBe(true)
+  })
+
+  test("evicts entries by size", () => {
+    const lru = new LRU(10, value => value.length)
+    lru.set("a", "12345")
+    lru.set("b", "1234")
+    lru.set("c", "12")
+
+    expect(lru.has("a")).toBe(false)
+    expect(lru.has("b")).toBe(true)
+    expect(lru.has("c")).toBe(true)
+    expect(lru.size).toBe(6)
+  })
+
+  test("keeps a single entry exceeding the maximum size", () => {
+    const lru = new LRU(2, value => value.length)
+    lru.set("a", "12345")
+
+    expect(lru.get("a")).toBe("12345")
+  })
+
+  test("replaces existing entries", () => {
+    const lru = new LRU(10, value => value.length)
+    lru.set("a", "12345")
+    lru.set("a", "12")
+
+    expect(lru.get("a")).toBe("12")
+    expect(lru.size).toBe(2)
+  })
+})
@@ -0,0 +1,75 @@
+const { mergeData } = require("../src/merge")
+
+describe("Merge Data", () => {
+  test("takes changes of one side", () => {
+    const base = { foo: "bar", number: 1 }
+
+    expect(mergeData(base, { foo: "baz", number: 1 }, base))
+      .toEqual({ data: { foo: "baz", number: 1 }, conflicts: [] })
+    expect(mergeData(base, base, { foo: "bar" }))
+      .toEqual({ data: { foo: "bar" }, conflicts: [] })
+  })
+
+  test("merges changes of different keys", () => {
+    const base = { foo: "bar", number: 1, nested: { a: 1, b: 2 } }
+    const ours = { foo: "baz", number: 1, nested: { a: 2, b: 2 } }
+    const theirs = { foo: "bar", number: 2, nested: { a: 1 }, added: true }
+
+    expect(mergeData(base, ours, theirs)).toEqual({
+      data: { foo: "baz", number: 2, nested: { a: 2 }, added: true },
+      conflicts: []
+    })
+  })
+
+  test("ignores the order of keys", () => {
+    const base = { foo: "bar", number: 1 }
+    const ours = { number: 1, foo: "baz" }
+    const theirs = { foo: "bar", number: 2 }
+
+    expect(mergeData(base, ours, theirs).data).toEqual({ foo: "baz", number: 2 })
+  })
+
+  test("returns conflicting nodes", () => {
+    const base = { foo: { bar: "baz" }, list: [1, 2] }
+    const ours = { foo: { bar: "ours" }, list: [1, 2, 3] }
+    const theirs = { foo: { bar: "theirs" }, list: [1] }
+
+    expect(mergeData(base, ours, theirs).conflicts).toEqual([
+      { path: "/foo/bar", base: "baz", ours: "ours", theirs: "theirs" },
+      { path: "/list", base: [1, 2], ours: [1, 2, 3], theirs: [1] }
+    ])
+  })
+
+  test("returns conflicts for nodes added on both sides", () => {
+    expect(mergeData({}, { "a/b": 1 }, { "a/b": 2 }).conflicts).toEqual([
+      { path: "/a~1b", base: undefined, ours: 1, theirs: 2 }
+    ])
+  })
+
+  test("returns conflict for nodes removed on one and changed on the other side", () => {
+    expect(mergeData({ foo: "bar" }, {}, { foo: "baz" }).conflicts).toEqual([
+      { path: "/foo", base: "bar", ours: undefined, theirs: "baz" }
+    ])
+  })
+
+  describe("Arrays", () => {
+    const base = { list: ["a", "b", "c"] }
+    const ours = { list: ["a", "b", "c", "d"] }
+    const theirs = { list: ["b", "c", "e"] }
+
+    test("merges arrays with union strategy", () => {
+      expect(mergeData(base, ours, theirs, "union")).toEqual({
+        data: { list: ["b", "c", "d", "e"] },
+        conflicts: []
+      })
+    })
+
+    test("merges arrays with ours strategy", () => {
+      expect(mergeData(base, ours, theirs, "ours").data).toEqual(ours)
+    })
+
+    test("merges arrays with theirs strategy", () => {
+      expect(mergeData(base, ours, theirs, "theirs").data).toEqual(theirs)
+    })
+  })
+})
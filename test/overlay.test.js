@@ -0,0 +1,51 @@
+const { applyOverlay } = require("../src/overlay")
+
+describe("Apply Overlay", () => {
+  test("merges objects per key", () => {
+    const base = { foo: "bar", nested: { a: 1, b: 2 }, other: { c: 3 } }
+    const overlay = { nested: { b: 3, d: 4 }, added: true }
+
+    const result = applyOverlay(base, overlay)
+
+    expect(result).toEqual({
+      foo: "bar",
+      nested: { a: 1, b: 3, d: 4 },
+      other: { c: 3 },
+      added: true
+    })
+    expect(result.other).toBe(base.other)
+  })
+
+  test("replaces arrays and other values", () => {
+    expect(applyOverlay({ list: [1, 2], value: { a: 1 } }, { list: [3], value: "text" }))
+      .toEqual({ list: [3], value: "text" })
+    expect(applyOverlay({ value: "text" }, { value: { a: 1 } })).toEqual({ value: { a: 1 } })
+  })
+
+  test("deletes keys with null or the delete marker", () => {
+    const base = { foo: "bar", nested: { a: 1, b: 2 } }
+
+    expect(applyOverlay(base, { foo: null, nested: { a: { $delete: true } } }))
+      .toEqual({ nested: { b: 2 } })
+  })
+
+  test("keeps objects with other delete values", () => {
+    expect(applyOverlay({}, { value: { $delete: false } })).toEqual({ value: { $delete: false } })
+  })
+
+  test("writes prototype keys as data", () => {
+    const overlay = JSON.parse("{ \"__proto__\": { \"polluted\": true } }")
+    const result = applyOverlay({ foo: "bar" }, overlay)
+
+    expect(Object.getPrototypeOf(result)).toBe(Object.prototype)
+    expect(result.polluted).toBeUndefined()
+    expect(JSON.parse(JSON.stringify(result))).toEqual({ foo: "bar", ...overlay })
+  })
+
+  test("does not modify the base", () => {
+    const base = { nested: { a: 1 } }
+    applyOverlay(base, { nested: { a: 2 } })
+
+    expect(base).toEqual({ nested: { a: 1 } })
+  })
+})
@@ -0,0 +1,90 @@
+const { applyPatch, JSON_PATCH, MERGE_PATCH } = require("../src/patch")
+
+describe("Apply Patch", () => {
+  const document = {
+    foo: "bar",
+    number: { baz: "foo", count: 1 },
+    list: ["one", "two"]
+  }
+
+  describe("JSON Patch", () => {
+    test("applies operations", () => {
+      const result = applyPatch(document, JSON_PATCH, [
+        { op: "replace", path: "/foo", value: "changed" },
+        { op: "remove", path: "/number/count" },
+        { op: "add", path: "/list/-", value: "three" }
+      ])
+
+      expect(result).toEqual({
+        foo: "changed",
+        number: { baz: "foo" },
+        list: ["one", "two", "three"]
+      })
+    })
+
+    test("does not modify the original document", () => {
+      applyPatch(document, JSON_PATCH, [{ op: "replace", path: "/number/baz", value: "bar" }])
+
+      expect(document.number.baz).toBe("foo")
+    })
+
+    test("returns error with status 409 for failed test operation", () => {
+      expect(() => applyPatch(document, JSON_PATCH, [{ op: "test", path: "/foo", value: "baz" }]))
+        .toThrow(expect.objectContaining({ httpCode: 409 }))
+    })
+
+    test("returns error with status 422 for invalid path", () => {
+      const patch = [{ op: "replace", path: "/doesnotexist/foo", value: 1 }]
+
+      expect(() => applyPatch(document, JSON_PATCH, patch))
+        .toThrow(expect.objectContaining({ httpCode: 422 }))
+    })
+
+    test("returns error with status 422 for non-array patch", () => {
+      expect(() => applyPatch(document, JSON_PATCH, { foo: "baz" }))
+        .toThrow(expect.objectContaining({
+          httpCode: 422,
+          message: "JSON Patch must be an array of operations"
+        }))
+    })
+  })
+
+  describe("Merge Patch", () => {
+    test("merges objects and removes null values", () => {
+      const result = applyPatch(document, MERGE_PATCH, {
+        foo: null,
+        number: { count: 2, added: true },
+        list: ["three"]
+      })
+
+      expect(result).toEqual({
+        number: { baz: "foo", count: 2, added: true },
+        list: ["three"]
+      })
+    })
+
+    test("does not modify the original document", () => {
+      applyPatch(document, MERGE_PATCH, { number: { baz: null } })
+
+      expect(document.number.baz).toBe("foo")
+    })
+
+    test("replaces the document with a non-object patch", () => {
+      expect(applyPatch(document, MERGE_PATCH, ["one"])).toEqual(["one"])
+    })
+
+    test("writes prototype keys as data", () => {
+      const patch = JSON.parse("{ \"__proto__\": { \"polluted\": true }, \"constructor\": 1 }")
+      const result = applyPatch({}, MERGE_PATCH, patch)
+
+      expect(Object.getPrototypeOf(result)).toBe(Object.prototype)
+      expect(result.polluted).toBeUndefined()
+      expect(JSON.parse(JSON.stringify(result))).toEqual(patch)
+    })
+  })
+
+  test("returns error with status 415 for unsupported type", () => {
+    expect(() => applyPatch(document, "application/json", {}))
+      .toThrow(expect.objectContaining({ httpCode: 415 }))
+  })
+})
@@ -0,0 +1,81 @@
+const { queryData } = require("../src/query")
+
+const data = {
+  screens: {
+    home: { enabled: true, title: "Home", layout: { columns: 2, rows: 1 } },
+    settings: { enabled: false, title: "Settings", layout: { columns: 1, rows: 3 } }
+  },
+  version: 1
+}
+
+describe("Query Data", () => {
+  test("returns data without query", () => {
+    expect(queryData(data)).toBe(data)
+    expect(queryData(data, {})).toBe(data)
+  })
+
+  test("filters data with JMESPath expressions", () => {
+    expect(queryData(data, { query: "values(screens)[?enabled].title" })).toEqual(["Home"])
+    expect(queryData(data, { query: "screens.settings.layout.rows" })).toBe(3)
+    expect(queryData(data, { query: "doesnotexist" })).toBeNull()
+  })
+
+  test("projects fields", () => {
+    expect(queryData(data, { query: "screens.home", fields: ["title", "layout.columns"] }))
+      .toEqual({ title: "Home", layout: { columns: 2 } })
+  })
+
+  test("projects fields of each array item", () => {
+    expect(queryData(data, { query: "values(screens)", fields: ["title"] }))
+      .toEqual([{ title: "Home" }, { title: "Settings" }])
+  })
+
+  test("projects fields through arrays item by item", () => {
+    const list = { items: [{ id: 1, name: "a", tags: [{ id: 2, x: 3 }] }, { name: "b" }, 4] }
+
+    expect(queryData(list, { fields: ["items.id", "items.tags.id"] }))
+      .toEqual({ items: [{ id: 1, tags: [{ id: 2 }] }, {}, 4] })
+  })
+
+  test("projects whole values of fields containing other fields", () => {
+    const expected = { screens: { home: data.screens.home } }
+
+    expect(queryData(data, { fields: ["screens.home", "screens.home.title"] })).toEqual(expected)
+    expect(queryData(data, { fields: ["screens.home.title", "screens.home"] })).toEqual(expected)
+  })
+
+  test("ignores missing fields", () => {
+    expect(queryData(data, { fields: ["version", "toString.length", "screens.home.missing"] }))
+      .toEqual({ version: 1 })
+  })
+
+  test("limits the depth", () => {
+    expect(queryData(data, { depth: 0 })).toEqual({})
+    expect(queryData(data, { depth: 2 })).toEqual({
+      screens: { home: {}, settings: {} },
+      version: 1
+    })
+    expect(queryData([[1], 2], { depth: 1 })).toEqual([[], 2])
+  })
+
+  test("does not modify the data", () => {
+    const copy = JSON.parse(JSON.stringify(data))
+    queryData(data, { query: "screens", fields: ["home.title"], depth: 1 })
+
+    expect(data).toEqual(copy)
+  })
+
+  test("throws error with status 400 for invalid expressions", () => {
+    expect(() => queryData(data, { query: "screens[?" }))
+      .toThrow(expect.objectContaining({ httpCode: 400 }))
+  })
+
+  test("throws error with status 400 for fields changing prototypes", () => {
+    for (const field of ["__proto__.polluted", "a.constructor.prototype.polluted"]) {
+      expect(() => queryData(data, { fields: [field] }))
+        .toThrow(expect.objectContaining({ httpCode: 400 }))
+    }
+
+    expect({}.polluted).toBeUndefined()
+  })
+})
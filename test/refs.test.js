@@ -0,0 +1,87 @@
+const { resolveReferences } = require("../src/refs")
+
+function createGetObject(object) {
+  return path => {
+    const result = path === "" ? object : object[path]
+
+    if (typeof result === "undefined") {
+      const error = new Error("Not found")
+      error.httpCode = 404
+      throw error
+    }
+
+    return result
+  }
+}
+
+const files = {
+  "shared/colors": { "primary": "#ff0000", "accent/dark": "#000000" },
+  "shared/theme": { colors: { $ref: "shared/colors" }, font: "sans" },
+  "screens/home": {
+    color: { $ref: "shared/colors#/primary" },
+    dark: { $ref: "/shared/colors#/accent~1dark" },
+    theme: { $ref: "shared/theme" },
+    items: [{ $ref: "shared/theme#/font" }]
+  }
+}
+
+describe("Resolve References", () => {
+  test("resolves references to files and values", () => {
+    expect(resolveReferences(files["screens/home"], createGetObject(files))).toEqual({
+      color: "#ff0000",
+      dark: "#000000",
+      theme: { colors: { "primary": "#ff0000", "accent/dark": "#000000" }, font: "sans" },
+      items: ["sans"]
+    })
+  })
+
+  test("does not modify the data", () => {
+    resolveReferences(files["screens/home"], createGetObject(files))
+
+    expect(files["screens/home"].color).toEqual({ $ref: "shared/colors#/primary" })
+  })
+
+  test("throws error with status 422 for missing files", () => {
+    expect(() => resolveReferences({ $ref: "doesnotexist" }, createGetObject(files)))
+      .toThrow(expect.objectContaining({
+        httpCode: 422,
+        message: "Reference target not found: 'doesnotexist'"
+      }))
+  })
+
+  test("throws error with status 422 for missing values", () => {
+    expect(() => resolveReferences({ $ref: "shared/colors#/secondary" }, createGetObject(files)))
+      .toThrow(expect.objectContaining({
+        httpCode: 422,
+        message: "Reference target not found: 'shared/colors#/secondary'"
+      }))
+  })
+
+  test("throws error with status 422 for circular references", () => {
+    const circularFiles = {
+      a: { next: { $ref: "b" } },
+      b: { next: { $ref: "a#/next" } }
+    }
+
+    expect(() => resolveReferences(circularFiles.a, createGetObject(circularFiles)))
+      .toThrow(expect.objectContaining({
+        httpCode: 422,
+        message: "Circular reference: b -> a#/next -> b"
+      }))
+  })
+
+  test("throws error with status 422 for too many referenced values", () => {
+    const doubledFiles = { l20: "value" }
+    for (let level = 0; level < 20; level++) {
+      doubledFiles[`l${level}`] = [{ $ref: `l${level + 1}` }, { $ref: `l${level + 1}` }]
+    }
+
+    expect(() => resolveReferences(doubledFiles.l0, createGetObject(doubledFiles)))
+      .toThrow(expect.objectContaining({
+        httpCode: 422,
+        message: "References resolve to more than 100000 values"
+      }))
+    expect(() => resolveReferences(files["screens/home"], createGetObject(files), 3))
+      .toThrow(expect.objectContaining({ httpCode: 422 }))
+  })
+})
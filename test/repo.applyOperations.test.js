@@ -0,0 +1,111 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Apply Operations", () => {
+  let repo
+  let originRepoDir
+  let masterCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    commit("dir/nestedFile1.json", { foo: "bar" })
+    masterCommitHash = commit("dir/nestedFile2.json", { foo: "bar", list: [1] })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  test("applies all operations in one commit", async () => {
+    const newCommitHash = await repo.applyOperations("master", "master", "test", [
+      { op: "replace", path: "rootFile", fileContent: { foo: "baz" } },
+      { op: "patch", path: "dir/nestedFile2/list", patch: [{ op: "add", path: "/-", value: 2 }] },
+      { op: "move", path: "dir/nestedFile1", to: "other/nestedFile1" },
+      { op: "replace", path: "newDir", files: { newFile: { foo: "bar" } } }
+    ])
+
+    const { data } = await repo.getData("master", "", true)
+    const commit = await repo.repo.getCommit(newCommitHash)
+
+    expect(data).toEqual({
+      "rootFile": { foo: "baz" },
+      "dir/nestedFile2": { foo: "bar", list: [1, 2] },
+      "other/nestedFile1": { foo: "bar" },
+      "newDir/newFile": { foo: "bar" }
+    })
+    expect(commit.parentcount()).toBe(1)
+    expect(commit.parentId(0).tostrS()).toBe(masterCommitHash)
+  })
+
+  test("deletes files and directories", async () => {
+    await repo.applyOperations("master", "master", "test", [
+      { op: "delete", path: "rootFile" },
+      { op: "delete", path: "dir" },
+      { op: "replace", path: "newFile", fileContent: { foo: "bar" } }
+    ])
+
+    const { data } = await repo.getData("master", "", true)
+    expect(data).toEqual({ newFile: { foo: "bar" } })
+  })
+
+  test("uses the given commit message", async () => {
+    const newCommitHash = await repo.applyOperations(
+      "master",
+      "master",
+      "test",
+      [{ op: "delete", path: "rootFile" }],
+      { message: "Remove root file" }
+    )
+
+    const commit = await repo.repo.getCommit(newCommitHash)
+    expect(commit.message()).toBe("Remove root file")
+  })
+
+  test("returns error with status 404 and commits nothing for missing paths", async () => {
+    expect.assertions(2)
+
+    return repo.applyOperations("master", "master", "test", [
+      { op: "replace", path: "rootFile", fileContent: { foo: "baz" } },
+      { op: "delete", path: "doesnotexist" }
+    ]).catch(async e => {
+      const { commitHash } = await repo.getData("master", "", true)
+
+      expect(e.httpCode).toBe(404)
+      expect(commitHash).toBe(masterCommitHash)
+    })
+  })
+
+  test("returns error with status 422 for overlapping paths", async () => {
+    expect.assertions(1)
+
+    return repo.applyOperations("master", "master", "test", [
+      { op: "replace", path: "dir", files: { nestedFile1: { foo: "baz" } } },
+      { op: "delete", path: "dir/nestedFile2" }
+    ]).catch(e => expect(e.httpCode).toBe(422))
+  })
+
+  test("returns error with status 422 for existing move target", async () => {
+    expect.assertions(1)
+
+    return repo.applyOperations("master", "master", "test", [
+      { op: "move", path: "dir/nestedFile1", to: "rootFile" }
+    ]).catch(e => expect(e.httpCode).toBe(422))
+  })
+
+  test("returns error with status 422 for invalid operations", async () => {
+    expect.assertions(1)
+
+    return repo.applyOperations("master", "master", "test", [{ op: "copy", path: "rootFile" }])
+      .catch(e => expect(e.httpCode).toBe(422))
+  })
+})
@@ -0,0 +1,53 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Delete Data", () => {
+  let repo
+  let originRepoDir
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    commit("dir/nestedFile1.json", { foo: "bar" })
+    commit("dir/nestedFile2.json", { foo: "bar" })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  test("deletes a file", async () => {
+    const newCommitHash = await repo.deleteData("master", "master", "dir/nestedFile1", "test")
+    const { data } = await repo.getData("master", "", true)
+    const commit = await repo.repo.getCommit(newCommitHash)
+
+    expect(data).toEqual({
+      "rootFile": { foo: "bar" },
+      "dir/nestedFile2": { foo: "bar" }
+    })
+    expect(commit.message()).toBe("Delete 'dir/nestedFile1'")
+  })
+
+  test("deletes a directory", async () => {
+    await repo.deleteData("master", "master", "dir", "test")
+    const { data } = await repo.getData("master", "", true)
+
+    expect(data).toEqual({ rootFile: { foo: "bar" } })
+  })
+
+  test("returns error with status 404 for missing path", async () => {
+    expect.assertions(1)
+
+    return repo.deleteData("master", "master", "doesnotexist", "test")
+      .catch(e => expect(e.httpCode).toBe(404))
+  })
+})
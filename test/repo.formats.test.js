@@ -0,0 +1,92 @@
+const fse = require("fs-extra")
+
+const { MERGE_PATCH } = require("../src/patch")
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("File Formats", () => {
+  let repo
+  let originRepoDir
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const helperRepoDir = origin.helperDir
+    const { git, commit } = origin
+
+    commit("jsonFile.json", { foo: "bar" })
+    fse.outputFileSync(`${helperRepoDir}/dir/yamlFile.yaml`, "foo: bar\nlist:\n  - 1\n")
+    fse.outputFileSync(`${helperRepoDir}/dir/json5File.json5`, "{ foo: 'bar' }\n")
+    fse.outputFileSync(`${helperRepoDir}/dir/yamlFile.schema.yaml`, "required:\n  - foo\n")
+    fse.outputFileSync(`${helperRepoDir}/dir/readme.md`, "# Readme\n")
+    fse.outputFileSync(`${helperRepoDir}/.gitlab-ci.yml`, "script: [\n")
+    fse.outputFileSync(`${helperRepoDir}/.github/workflows/ci.yml`, "on: [\n")
+    git("add", ".")
+    git("commit", "--message", "Add files")
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  test("reads all registered formats", async () => {
+    const { data } = await repo.getData("master", "", true)
+
+    expect(data).toEqual({
+      "jsonFile": { foo: "bar" },
+      "dir/yamlFile": { foo: "bar", list: [1] },
+      "dir/json5File": { foo: "bar" }
+    })
+  })
+
+  test("ignores broken hidden files", async () => {
+    const { data } = await repo.getData("master", "dir/yamlFile", false)
+
+    expect(data).toEqual({ foo: "bar", list: [1] })
+  })
+
+  test("keeps the extension of replaced files", async () => {
+    await repo.replaceFile("master", "master", "dir/yamlFile", "test", { foo: "baz" })
+    await repo.patchData(
+      "master", "master", "dir/json5File", "test", MERGE_PATCH, { bar: "baz" }
+    )
+
+    const { data } = await repo.getData("master", "dir", false)
+    const workdir = repo.repo.workdir()
+
+    expect(data).toEqual({
+      yamlFile: { foo: "baz" },
+      json5File: { foo: "bar", bar: "baz" }
+    })
+    expect(fse.readFileSync(`${workdir}dir/yamlFile.yaml`, "utf-8")).toBe("foo: baz\n")
+    expect(fse.existsSync(`${workdir}dir/yamlFile.json`)).toBe(false)
+    expect(fse.existsSync(`${workdir}dir/json5File.json5`)).toBe(true)
+  })
+
+  test("keeps schemas and extensions when replacing directories", async () => {
+    await repo.replaceDirectory("master", "master", "dir", "test", {
+      yamlFile: { foo: "baz" },
+      newFile: { foo: "bar" }
+    })
+
+    const workdir = repo.repo.workdir()
+
+    expect(fse.existsSync(`${workdir}dir/yamlFile.yaml`)).toBe(true)
+    expect(fse.existsSync(`${workdir}dir/yamlFile.schema.yaml`)).toBe(true)
+    expect(fse.existsSync(`${workdir}dir/newFile.json`)).toBe(true)
+    expect(fse.existsSync(`${workdir}dir/json5File.json5`)).toBe(false)
+  })
+
+  test("validates data against schemas in other formats", async () => {
+    expect.assertions(1)
+
+    return repo.replaceFile("master", "master", "dir/yamlFile", "test", { bar: "baz" })
+      .catch(e => expect(e.httpCode).toBe(422))
+  })
+})
@@ -1,6 +1,8 @@
+const Git = require("nodegit")
+
 const Repo = require("../src/repo")
 
-const { createGitFunctions, createTempDir } = require("./helpers")
+const { createOriginRepo, createTempDir } = require("./helpers")
 
 const rootFile = {
   foo: "bar",
@@ -23,14 +25,9 @@ describe("Get Data", () => {
   let branch2CommitHash
 
   beforeAll(async () => {
-    originRepoDir = createTempDir() // bare origin repo
-    const helperRepoDir = createTempDir() // used to push test data into the bare origin repo
-
-    // create helper functions
-    const { git, commit } = createGitFunctions(helperRepoDir)
-
-    git("init", "--bare", originRepoDir)
-    git("clone", originRepoDir, helperRepoDir)
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
 
     commit("rootFile.json", rootFile)
     oldCommitHash = commit("dir/nestedFile1.json", nestedFile1)
@@ -171,6 +168,110 @@ describe("Get Data", () => {
     })
   })
 
+  describe("Cache", () => {
+    test("returns data for alternating versions", async () => {
+      const master = await repo.getData("master", "dir/nestedFile2", false)
+      const branch = await repo.getData("branch1", "dir/nestedFile2", false)
+      const masterAgain = await repo.getData("master", "dir/nestedFile2", false)
+
+      expect(master.commitHash).toBe(masterCommitHash)
+      expect(branch.commitHash).toBe(branch1CommitHash)
+      expect(masterAgain.commitHash).toBe(masterCommitHash)
+      expect(masterAgain.data).toEqual(["one", "two", "three"])
+    })
+
+    test("builds data of a commit once for concurrent requests", async () => {
+      const buildData = jest.spyOn(repo.cache, "buildData")
+
+      const results = await Promise.all([
+        repo.getData(masterCommitHash, "rootFile", false),
+        repo.getData(masterCommitHash, "dir", true),
+        repo.getData(masterCommitHash, "", false)
+      ])
+
+      expect(results.map(({ commitHash }) => commitHash))
+        .toEqual([masterCommitHash, masterCommitHash, masterCommitHash])
+      expect(buildData).toHaveBeenCalledTimes(1)
+    })
+
+    test("serves reads while another read is in progress", async () => {
+      await repo.lock.lockShared()
+
+      const { commitHash } = await repo.getData(masterCommitHash, "", false)
+      repo.lock.unlockShared()
+
+      expect(commitHash).toBe(masterCommitHash)
+    })
+
+    test("shares data of unchanged files between commits", async () => {
+      const master = await repo.getData("master", "dir/nestedFile1", false)
+      const branch = await repo.getData("branch1", "dir/nestedFile1", false)
+
+      expect(branch.data).toBe(master.data)
+    })
+
+    test("does not modify file data overwritten by subdirectory content", async () => {
+      const { data } = await repo.getData("branch2", "", true)
+
+      expect(data.dir).toEqual({
+        nestedFile1: "shouldBeOverwrittenByFilesInSubdirectory"
+      })
+    })
+  })
+
+  describe("Fetch", () => {
+    afterEach(() => jest.restoreAllMocks())
+
+    test("does not fetch for locally available commit hash", async () => {
+      const fetch = jest.spyOn(Git.Remote.prototype, "fetch")
+
+      const { commitHash } = await repo.getData(masterCommitHash, "", false)
+
+      expect(commitHash).toBe(masterCommitHash)
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test("fetches for references", async () => {
+      const fetch = jest.spyOn(Git.Remote.prototype, "fetch")
+
+      await repo.getData("master", "", false)
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test("does not fetch for references within the fetch interval", async () => {
+      repo = new Repo(originRepoDir, createTempDir(), { fetchInterval: 60000 })
+      await repo.init()
+      const fetch = jest.spyOn(Git.Remote.prototype, "fetch")
+
+      await repo.getData("master", "", false)
+      await repo.getData("branch1", "", false)
+
+      expect(fetch).not.toHaveBeenCalled()
+    })
+
+    test("shares concurrent fetches", async () => {
+      const fetch = jest.spyOn(Git.Remote.prototype, "fetch")
+
+      const firstFetch = repo.fetch()
+      const secondFetch = repo.fetch()
+      await Promise.all([firstFetch, secondFetch, repo.getData("master", "", false)])
+
+      expect(secondFetch).toBe(firstFetch)
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+
+    test("fetches explicitly", async () => {
+      repo = new Repo(originRepoDir, createTempDir(), { fetchInterval: 60000 })
+      await repo.init()
+      const fetch = jest.spyOn(Git.Remote.prototype, "fetch")
+
+      await repo.fetch()
+
+      expect(fetch).toHaveBeenCalledTimes(1)
+    })
+  })
+
   describe("List files", () => {
     test("returns files for master", async () => {
       const { commitHash, data } = await repo.getData("master", "", true)
@@ -223,6 +324,21 @@ describe("Get Data", () => {
         })
     })
 
+    test("returns pages of files", async () => {
+      const firstPage = await repo.getData("master", "", true, { page: { limit: 2 } })
+      const secondPage = await repo.getData("master", "", true, {
+        page: { cursor: firstPage.nextCursor, limit: 2 }
+      })
+
+      expect(firstPage.data).toEqual({
+        "dir/nestedFile1": nestedFile1,
+        "dir/nestedFile2": nestedFile2
+      })
+      expect(firstPage.nextCursor).toBe("dir/nestedFile2")
+      expect(secondPage.data).toEqual({ rootFile })
+      expect(secondPage.nextCursor).toBeNull()
+    })
+
     test("returns files for directory query", async () => {
       const { commitHash, data } = await repo.getData("master", "dir", true)
 
@@ -236,4 +352,27 @@ describe("Get Data", () => {
       })
     })
   })
+
+  describe("query", () => {
+    test("returns queried data", async () => {
+      const { commitHash, data } = await repo.getData("master", "dir", false, {
+        dataQuery: { query: "nestedFile1", fields: ["number"] }
+      })
+
+      expect(commitHash).toBe(masterCommitHash)
+      expect(data).toEqual({ number: 1 })
+    })
+
+    test("limits the depth", async () => {
+      const { data } = await repo.getData("master", "", false, { dataQuery: { depth: 1 } })
+
+      expect(data).toEqual({ rootFile: {}, dir: {} })
+    })
+
+    test("returns error with status 400 for invalid queries", async () => {
+      expect.assertions(1)
+      return repo.getData("master", "", false, { dataQuery: { query: "dir[?" } })
+        .catch(e => expect(e.httpCode).toBe(400))
+    })
+  })
 })
@@ -0,0 +1,63 @@
+const Repo = require("../src/repo")
+
+const { createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Get Diff", () => {
+  let repo
+  let originRepoDir
+  let oldCommitHash
+  let newCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    oldCommitHash = commit("dir/nestedFile1.json", { foo: "bar", number: 1 })
+    commit("dir/nestedFile1.json", { foo: "baz", number: 1, added: true })
+    newCommitHash = commit("dir/nestedFile2.json", ["one"])
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    repo = new Repo(originRepoDir, createTempDir())
+    await repo.init()
+  })
+
+  test("returns changes between two commits", async () => {
+    const result = await repo.getDiff(oldCommitHash, "master", "")
+
+    expect(result).toEqual({
+      fromCommitHash: oldCommitHash,
+      toCommitHash: newCommitHash,
+      changes: [
+        { type: "changed", path: "/dir/nestedFile1/foo", oldValue: "bar", newValue: "baz" },
+        { type: "added", path: "/dir/nestedFile1/added", newValue: true },
+        { type: "added", path: "/dir/nestedFile2", newValue: ["one"] }
+      ]
+    })
+  })
+
+  test("returns changes of a path", async () => {
+    const { changes } = await repo.getDiff("master", oldCommitHash, "dir/nestedFile1")
+
+    expect(changes).toEqual([
+      { type: "changed", path: "/foo", oldValue: "baz", newValue: "bar" },
+      { type: "removed", path: "/added", oldValue: true }
+    ])
+  })
+
+  test("returns changes of a path missing in one commit", async () => {
+    const { changes } = await repo.getDiff(oldCommitHash, "master", "dir/nestedFile2")
+
+    expect(changes).toEqual([{ type: "added", path: "", newValue: ["one"] }])
+  })
+
+  test("returns error with status 404 for path missing in both commits", async () => {
+    expect.assertions(1)
+
+    return repo.getDiff(oldCommitHash, "master", "doesnotexist")
+      .catch(e => expect(e.httpCode).toBe(404))
+  })
+})
@@ -0,0 +1,95 @@
+const Repo = require("../src/repo")
+
+const { createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Get History", () => {
+  let repo
+  let originRepoDir
+  let rootFileCommitHash
+  let nestedFile1CommitHash
+  let nestedFile2CommitHash
+  let nestedFile1ChangeCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    rootFileCommitHash = commit("rootFile.json", { foo: "bar" })
+    nestedFile1CommitHash = commit("dir/nestedFile1.json", { foo: "bar" })
+    nestedFile2CommitHash = commit("dir/nestedFile2.json", { foo: "bar" })
+    nestedFile1ChangeCommitHash = commit("dir/nestedFile1.json", { foo: "baz" })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    repo = new Repo(originRepoDir, createTempDir())
+    await repo.init()
+  })
+
+  function hashes({ commits }) {
+    return commits.map(({ hash }) => hash)
+  }
+
+  test("returns all commits for the root", async () => {
+    const result = await repo.getHistory("master", "", 0, 20)
+
+    expect(result.commitHash).toBe(nestedFile1ChangeCommitHash)
+    expect(hashes(result)).toEqual([
+      nestedFile1ChangeCommitHash,
+      nestedFile2CommitHash,
+      nestedFile1CommitHash,
+      rootFileCommitHash
+    ])
+    expect(result.hasMore).toBe(false)
+  })
+
+  test("returns commits touching a file", async () => {
+    const result = await repo.getHistory("master", "dir/nestedFile1", 0, 20)
+
+    expect(hashes(result)).toEqual([nestedFile1ChangeCommitHash, nestedFile1CommitHash])
+  })
+
+  test("returns commits touching a JSON node", async () => {
+    const result = await repo.getHistory("master", "dir/nestedFile1/foo", 0, 20)
+
+    expect(hashes(result)).toEqual([nestedFile1ChangeCommitHash, nestedFile1CommitHash])
+  })
+
+  test("returns commits touching a directory", async () => {
+    const result = await repo.getHistory("master", "dir", 0, 20)
+
+    expect(hashes(result)).toEqual([
+      nestedFile1ChangeCommitHash,
+      nestedFile2CommitHash,
+      nestedFile1CommitHash
+    ])
+  })
+
+  test("returns commit details", async () => {
+    const { commits: [commit] } = await repo.getHistory("master", "rootFile", 0, 20)
+
+    expect(commit).toEqual({
+      hash: rootFileCommitHash,
+      author: { name: expect.any(String), email: expect.any(String) },
+      date: expect.any(String),
+      message: "Add rootFile.json\n"
+    })
+  })
+
+  test("returns pages of commits", async () => {
+    const firstPage = await repo.getHistory("master", "dir", 0, 2)
+    const secondPage = await repo.getHistory("master", "dir", 2, 2)
+
+    expect(hashes(firstPage)).toEqual([nestedFile1ChangeCommitHash, nestedFile2CommitHash])
+    expect(firstPage.hasMore).toBe(true)
+    expect(hashes(secondPage)).toEqual([nestedFile1CommitHash])
+    expect(secondPage.hasMore).toBe(false)
+  })
+
+  test("returns history of an older version", async () => {
+    const result = await repo.getHistory(nestedFile1CommitHash, "", 0, 20)
+
+    expect(hashes(result)).toEqual([nestedFile1CommitHash, rootFileCommitHash])
+  })
+})
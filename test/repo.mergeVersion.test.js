@@ -0,0 +1,159 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createGitFunctions, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Merge Version", () => {
+  let repo
+  let originRepoDir
+  let masterCommitHash
+  let stagingCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    masterCommitHash = commit("dir/nestedFile.json", { foo: "bar" })
+    git("push", "origin", "master")
+
+    git("checkout", "-b", "staging")
+    commit("rootFile.json", { foo: "staged" })
+    stagingCommitHash = commit("dir/nestedFile.json", { foo: "staged" })
+    git("push", "origin", "staging")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  function pushToOrigin(branch, filePath, content) {
+    const helperRepoDir = createTempDir()
+    const { git, commit } = createGitFunctions(helperRepoDir)
+
+    git("clone", "--branch", branch, repo.uri, helperRepoDir)
+    commit(filePath, content)
+    git("push", "origin", branch)
+  }
+
+  test("fast-forwards the target branch", async () => {
+    const result = await repo.mergeVersion("master", "staging", "", "test")
+
+    expect(result).toEqual({
+      commitHash: stagingCommitHash,
+      sourceCommitHash: stagingCommitHash,
+      changes: [
+        { type: "changed", path: "/dir/nestedFile/foo", oldValue: "bar", newValue: "staged" },
+        { type: "changed", path: "/rootFile/foo", oldValue: "bar", newValue: "staged" }
+      ],
+      conflicts: []
+    })
+    expect((await repo.getData("master", "", true)).commitHash).toBe(stagingCommitHash)
+  })
+
+  test("creates a merge commit for diverged branches", async () => {
+    await repo.replaceFile("master", "master", "newFile", "test", { foo: "bar" })
+
+    const { commitHash } = await repo.mergeVersion("master", "staging", "", "test")
+    const commit = await repo.repo.getCommit(commitHash)
+    const { data } = await repo.getData("master", "", true)
+
+    expect(commit.parentcount()).toBe(2)
+    expect(commit.message()).toBe("Merge 'staging' into 'master'")
+    expect(data).toEqual({
+      "rootFile": { foo: "staged" },
+      "dir/nestedFile": { foo: "staged" },
+      "newFile": { foo: "bar" }
+    })
+  })
+
+  test("merges only changes within the path", async () => {
+    const { commitHash, changes } = await repo.mergeVersion("master", "staging", "dir", "test")
+    const commit = await repo.repo.getCommit(commitHash)
+    const { data } = await repo.getData("master", "", true)
+
+    expect(changes).toEqual([
+      { type: "changed", path: "/nestedFile/foo", oldValue: "bar", newValue: "staged" }
+    ])
+    expect(commit.parentcount()).toBe(1)
+    expect(data).toEqual({
+      "rootFile": { foo: "bar" },
+      "dir/nestedFile": { foo: "staged" }
+    })
+  })
+
+  test("returns changes and conflicts of a dry run without committing", async () => {
+    await repo.replaceFile("master", "master", "rootFile", "test", { foo: "changed" })
+    const branchCommitHash = (await repo.getData("master", "", true)).commitHash
+
+    const result = await repo.mergeVersion("master", "staging", "", "test", { dryRun: true })
+
+    expect(result).toEqual({
+      commitHash: branchCommitHash,
+      sourceCommitHash: stagingCommitHash,
+      changes: [
+        { type: "changed", path: "/dir/nestedFile/foo", oldValue: "bar", newValue: "staged" }
+      ],
+      conflicts: [
+        { file: "rootFile", path: "/foo", base: "bar", ours: "changed", theirs: "staged" }
+      ]
+    })
+    expect((await repo.getData("master", "", true)).commitHash).toBe(branchCommitHash)
+  })
+
+  test("ignores conflicts outside of the path", async () => {
+    await repo.replaceFile("master", "master", "rootFile", "test", { foo: "changed" })
+
+    const { conflicts } = await repo.mergeVersion("master", "staging", "dir", "test")
+    const { data } = await repo.getData("master", "", true)
+
+    expect(conflicts).toEqual([])
+    expect(data).toEqual({
+      "rootFile": { foo: "changed" },
+      "dir/nestedFile": { foo: "staged" }
+    })
+  })
+
+  test("returns error with status 409 for conflicts", async () => {
+    expect.assertions(2)
+
+    await repo.replaceFile("master", "master", "rootFile", "test", { foo: "changed" })
+
+    return repo.mergeVersion("master", "staging", "", "test").catch(e => {
+      expect(e.httpCode).toBe(409)
+      expect(e.conflicts).toHaveLength(1)
+    })
+  })
+
+  test("returns error with status 422 for merged data violating target schemas", async () => {
+    expect.assertions(2)
+    pushToOrigin("master", "dir/nestedFile.schema.json", { properties: { foo: { const: "bar" } } })
+
+    return repo.mergeVersion("master", "staging", "", "test").catch(async e => {
+      const { data } = await repo.getData("master", "dir/nestedFile", false)
+
+      expect(e.httpCode).toBe(422)
+      expect(data).toEqual({ foo: "bar" })
+    })
+  })
+
+  test("returns error with status 422 for merged data violating merged schemas", async () => {
+    expect.assertions(1)
+    pushToOrigin("staging", "dir/nestedFile.schema.json", { required: ["other"] })
+
+    return repo.mergeVersion("master", "staging", "", "test")
+      .catch(e => expect(e.httpCode).toBe(422))
+  })
+
+  test("does nothing for merged source", async () => {
+    const { commitHash, changes } = await repo.mergeVersion("staging", "master", "", "test")
+
+    expect(commitHash).toBe(stagingCommitHash)
+    expect(changes).toEqual([])
+    expect(masterCommitHash).not.toBe(stagingCommitHash)
+  })
+})
@@ -0,0 +1,75 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Move Data", () => {
+  let repo
+  let originRepoDir
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    commit("dir/nestedFile1.json", { foo: "bar" })
+    commit("dir/nestedFile1.schema.json", { type: "object" })
+    commit("dir/nestedFile2.json", { foo: "bar" })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  test("moves a file including its schema", async () => {
+    const newCommitHash =
+      await repo.moveData("master", "master", "dir/nestedFile1", "other/file", "test")
+    const cacheEntry = await repo.getCacheEntry("master")
+    const commit = await repo.repo.getCommit(newCommitHash)
+
+    expect(cacheEntry.getFiles("")).toEqual({
+      "rootFile": { foo: "bar" },
+      "dir/nestedFile2": { foo: "bar" },
+      "other/file": { foo: "bar" }
+    })
+    expect(cacheEntry.getSchema("other/file")).toEqual({ type: "object" })
+    expect(commit.message()).toBe("Move 'dir/nestedFile1' to 'other/file'")
+  })
+
+  test("moves a directory", async () => {
+    await repo.moveData("master", "master", "dir", "other", "test")
+    const { data } = await repo.getData("master", "", true)
+
+    expect(data).toEqual({
+      "rootFile": { foo: "bar" },
+      "other/nestedFile1": { foo: "bar" },
+      "other/nestedFile2": { foo: "bar" }
+    })
+  })
+
+  test("returns error with status 404 for missing path", async () => {
+    expect.assertions(1)
+
+    return repo.moveData("master", "master", "doesnotexist", "other", "test")
+      .catch(e => expect(e.httpCode).toBe(404))
+  })
+
+  test("returns error with status 422 for existing destination", async () => {
+    expect.assertions(1)
+
+    return repo.moveData("master", "master", "dir/nestedFile1", "dir/nestedFile2", "test")
+      .catch(e => expect(e.httpCode).toBe(422))
+  })
+
+  test("returns error with status 422 for destination inside the path", async () => {
+    expect.assertions(1)
+
+    return repo.moveData("master", "master", "dir", "dir/sub", "test")
+      .catch(e => expect(e.httpCode).toBe(422))
+  })
+})
@@ -0,0 +1,45 @@
+const Repo = require("../src/repo")
+
+const { createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Overlays", () => {
+  let repo
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    const originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("dir/file.json", { title: "Base", colors: ["red"], debug: true })
+    commit("overlays/siteA/dir/file.json", { title: "Site A", colors: ["blue"], debug: null })
+    commit("overlays/siteA/dir/added.json", { foo: "bar" })
+    git("push", "origin", "master")
+
+    repo = new Repo(originRepoDir, createTempDir())
+    await repo.init()
+  })
+
+  test("returns the base merged with the overlay", async () => {
+    const { data } = await repo.getData("master", "", false, { overlay: "siteA" })
+
+    expect(data).toEqual({
+      dir: {
+        file: { title: "Site A", colors: ["blue"] },
+        added: { foo: "bar" }
+      }
+    })
+  })
+
+  test("returns paths of the merged data", async () => {
+    const { data } = await repo.getData("master", "dir/file/title", false, { overlay: "siteA" })
+
+    expect(data).toBe("Site A")
+  })
+
+  test("returns error with status 404 for missing overlays", async () => {
+    expect.assertions(1)
+
+    return repo.getData("master", "", false, { overlay: "siteB" })
+      .catch(e => expect(e.httpCode).toBe(404))
+  })
+})
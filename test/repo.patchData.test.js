@@ -0,0 +1,99 @@
+const Repo = require("../src/repo")
+const { JSON_PATCH, MERGE_PATCH } = require("../src/patch")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Patch Data", () => {
+  let repo
+  let originRepoDir
+  let masterCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar", number: 1 })
+    masterCommitHash = commit("dir/nestedFile1.json", { foo: "bar" })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  test("applies JSON Patch to a file", async () => {
+    const patch = [{ op: "replace", path: "/foo", value: "baz" }]
+
+    const newCommitHash =
+      await repo.patchData("master", "master", "rootFile", "test", JSON_PATCH, patch)
+    const { commitHash, data } = await repo.getData("master", "", true)
+
+    expect(commitHash).toBe(newCommitHash)
+    expect(data).toEqual({
+      "rootFile": { foo: "baz", number: 1 },
+      "dir/nestedFile1": { foo: "bar" }
+    })
+  })
+
+  test("applies merge patch to the repo root", async () => {
+    const patch = { rootFile: { number: null }, dir: { nestedFile1: { added: true } } }
+
+    const newCommitHash = await repo.patchData("master", "master", "", "test", MERGE_PATCH, patch)
+    const { commitHash, data } = await repo.getData("master", "", true)
+
+    expect(commitHash).toBe(newCommitHash)
+    expect(data).toEqual({
+      "rootFile": { foo: "bar" },
+      "dir/nestedFile1": { foo: "bar", added: true }
+    })
+  })
+
+  test("applies patch to a JSON node", async () => {
+    const patch = [{ op: "replace", path: "", value: "changed" }]
+
+    await repo.patchData("master", "master", "dir/nestedFile1/foo", "test", JSON_PATCH, patch)
+    const { data } = await repo.getData("master", "dir/nestedFile1", false)
+
+    expect(data).toEqual({ foo: "changed" })
+  })
+
+  test("merges patches based on an old version", async () => {
+    await repo.patchData(masterCommitHash, "master", "rootFile", "test", MERGE_PATCH, { foo: "a" })
+    const mergeCommitHash = await repo.patchData(
+      masterCommitHash, "master", "dir/nestedFile1", "test", MERGE_PATCH, { foo: "b" }
+    )
+
+    const { data } = await repo.getData(mergeCommitHash, "", true)
+    expect(data).toEqual({
+      "rootFile": { foo: "a", number: 1 },
+      "dir/nestedFile1": { foo: "b" }
+    })
+  })
+
+  test("returns error with status 422 for patch removing a file", async () => {
+    expect.assertions(2)
+
+    const patch = [{ op: "remove", path: "/nestedFile1" }]
+
+    return repo.patchData("master", "master", "dir", "test", JSON_PATCH, patch)
+      .catch(e => {
+        expect(e.httpCode).toBe(422)
+        expect(e.message).toBe("Patch must not remove file 'dir/nestedFile1'")
+      })
+  })
+
+  test("returns error with status 422 for patch adding data outside of files", async () => {
+    expect.assertions(2)
+
+    return repo.patchData("master", "master", "dir", "test", MERGE_PATCH, { newFile: {} })
+      .catch(e => {
+        expect(e.httpCode).toBe(422)
+        expect(e.message).toBe("Patch must not add data outside of existing files")
+      })
+  })
+})
@@ -0,0 +1,126 @@
+const Git = require("nodegit")
+
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("References", () => {
+  let repo
+  let originRepoDir
+  let initialCommitHash
+  let masterCommitHash
+  let branchCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    initialCommitHash = commit("rootFile.json", { foo: "bar" })
+    masterCommitHash = commit("rootFile.json", { foo: "baz" })
+    git("tag", "v1", initialCommitHash)
+    git("push", "origin", "master", "--tags")
+
+    git("checkout", "-b", "branch")
+    branchCommitHash = commit("rootFile.json", { foo: "qux" })
+    git("push", "origin", "branch")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  afterEach(() => jest.restoreAllMocks())
+
+  test("lists branches", async () => {
+    expect(await repo.getBranches()).toEqual([
+      { name: "branch", commitHash: branchCommitHash },
+      { name: "master", commitHash: masterCommitHash }
+    ])
+  })
+
+  test("lists tags", async () => {
+    expect(await repo.getTags()).toEqual([{ name: "v1", commitHash: initialCommitHash }])
+  })
+
+  test("creates a branch", async () => {
+    const commitHash = await repo.createBranch("draft", initialCommitHash)
+    const { data } = await repo.getData("draft", "rootFile", false)
+
+    expect(commitHash).toBe(initialCommitHash)
+    expect(data).toEqual({ foo: "bar" })
+
+    const newCommitHash = await repo.replaceFile("draft", "draft", "rootFile", "test", { a: 1 })
+    expect(await repo.getBranches()).toContainEqual({ name: "draft", commitHash: newCommitHash })
+  })
+
+  test("keeps a branch created while a fetch is in progress", async () => {
+    const fetching = repo.fetch()
+    await repo.createBranch("draft", initialCommitHash)
+    await fetching
+
+    expect(await Git.Reference.list(repo.repo)).toContain("refs/remotes/origin/draft")
+  })
+
+  test("returns error with status 409 for existing branch", async () => {
+    expect.assertions(1)
+
+    return repo.createBranch("branch", "master").catch(e => expect(e.httpCode).toBe(409))
+  })
+
+  test("returns error with status 422 for invalid branch name", async () => {
+    expect.assertions(1)
+
+    return repo.createBranch("in valid..", "master").catch(e => expect(e.httpCode).toBe(422))
+  })
+
+  test("deletes a branch", async () => {
+    await repo.deleteBranch("branch")
+
+    expect(await repo.getBranches()).toEqual([{ name: "master", commitHash: masterCommitHash }])
+  })
+
+  test("returns error with status 404 for deleting a missing branch", async () => {
+    expect.assertions(1)
+
+    return repo.deleteBranch("doesnotexist").catch(e => expect(e.httpCode).toBe(404))
+  })
+
+  test("creates lightweight and annotated tags", async () => {
+    await repo.createTag("v2", "master", "test")
+    await repo.createTag("v3", "branch", { name: "jane", email: "jane@example.com" }, "Release")
+
+    expect(await repo.getTags()).toEqual([
+      { name: "v1", commitHash: initialCommitHash },
+      { name: "v2", commitHash: masterCommitHash },
+      { name: "v3", commitHash: branchCommitHash }
+    ])
+  })
+
+  test("removes the tag and returns error if the push failed", async () => {
+    expect.assertions(2)
+    jest.spyOn(Git.Remote.prototype, "push").mockResolvedValue(0)
+
+    return repo.createTag("v2", "master", "test").catch(async e => {
+      expect(e.message).toBe("Push to remote failed")
+      expect(await Git.Reference.list(repo.repo)).not.toContain("refs/tags/v2")
+    })
+  })
+
+  test("returns data of a tag", async () => {
+    const { commitHash, data } = await repo.getData("v1", "rootFile", false)
+
+    expect(commitHash).toBe(initialCommitHash)
+    expect(data).toEqual({ foo: "bar" })
+  })
+
+  test("returns error with status 409 for existing tag", async () => {
+    expect.assertions(1)
+
+    return repo.createTag("v1", "master", "test").catch(e => expect(e.httpCode).toBe(409))
+  })
+})
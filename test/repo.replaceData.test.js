@@ -1,6 +1,6 @@
 const Repo = require("../src/repo")
 
-const { copyAll, createGitFunctions, createTempDir } = require("./helpers")
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
 
 describe("replace Data", () => {
   let repo
@@ -10,14 +10,9 @@ describe("replace Data", () => {
 
 
   beforeAll(async () => {
-    originRepoDir = createTempDir() // bare origin repo
-    const helperRepoDir = createTempDir() // used to push test data into the bare origin repo
-
-    // create helper functions
-    const { git, commit } = createGitFunctions(helperRepoDir)
-
-    git("init", "--bare", originRepoDir)
-    git("clone", originRepoDir, helperRepoDir)
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
 
     commit("rootFile.json", { foo: "bar", })
     masterCommitHash = commit("dir/nestedFile1.json", { foo: "bar" })
@@ -37,6 +32,20 @@ describe("replace Data", () => {
     await repo.init()
   })
 
+  test("keeps changes pushed while a fetch is in progress", async () => {
+    const changes = []
+    repo.on("change", change => changes.push(change))
+
+    const fetching = repo.fetch()
+    const newCommitHash =
+      await repo.replaceFile("master", "master", "rootFile", "test", { foo: "new" })
+    await fetching
+    const remoteCommit = await repo.repo.getReferenceCommit("refs/remotes/origin/master")
+
+    expect(remoteCommit.sha()).toBe(newCommitHash)
+    expect(changes.map(({ commitHash }) => commitHash)).toEqual([newCommitHash])
+  })
+
   test("replace root file on master", async () => {
     const files = {
       "rootFile": { foo: "baz" },
@@ -81,6 +90,59 @@ describe("replace Data", () => {
     expect(masterResult.commitHash).toEqual(newCommitHash)
   })
 
+  test("create new file on master", async () => {
+    const content = { foo: "new" }
+
+    const newCommitHash = await repo.replaceFile("master", "master", "newFile", "test", content)
+    const { data } = await repo.getData(newCommitHash, "newFile", false)
+
+    expect(newCommitHash).not.toBe(masterCommitHash)
+    expect(data).toEqual(content)
+  })
+
+  test("remove files missing in replaced directory", async () => {
+    const files = {
+      rootFile: { foo: "bar" }
+    }
+
+    const newCommitHash = await repo.replaceDirectory("master", "master", "", "test", files)
+    const { data } = await repo.getData(newCommitHash, "", true)
+
+    expect(data).toEqual(files)
+  })
+
+  test("commit with author, committer and message", async () => {
+    repo.committer = { name: "service", email: "service@example.com" }
+
+    const newCommitHash = await repo.replaceFile(
+      "master",
+      "master",
+      "rootFile",
+      { name: "jane", email: "jane@example.com" },
+      { foo: "baz" },
+      { message: "Change foo" }
+    )
+    const commit = await repo.repo.getCommit(newCommitHash)
+
+    expect(commit.author().name()).toBe("jane")
+    expect(commit.author().email()).toBe("jane@example.com")
+    expect(commit.committer().name()).toBe("service")
+    expect(commit.committer().email()).toBe("service@example.com")
+    expect(commit.message()).toBe("Change foo")
+  })
+
+  test("sign commits", async () => {
+    repo.signCommit = jest.fn(async () => "signature")
+
+    const newCommitHash =
+      await repo.replaceFile("master", "master", "rootFile", "test", { foo: "baz" })
+    const commit = await repo.repo.getCommit(newCommitHash)
+    const { signature } = await commit.getSignature("gpgsig")
+
+    expect(repo.signCommit).toHaveBeenCalledWith(expect.stringContaining("author test"))
+    expect(signature).toBe("signature")
+  })
+
   test("replace files on branch", async () => {
     const files = {
       nestedFile1: { foo: "bar" },
@@ -119,14 +181,50 @@ describe("replace Data", () => {
     })
   })
 
+  test("merge parallel changes of different keys in the same file", async () => {
+    const baseCommitHash = await repo.replaceFile(
+      masterCommitHash, "master", "rootFile", "test", { foo: "bar", number: 1 }
+    )
+
+    await repo.replaceFile(
+      baseCommitHash, "master", "rootFile", "test", { foo: "changed", number: 1 }
+    )
+    const mergeCommitHash = await repo.replaceFile(
+      baseCommitHash, "master", "rootFile", "test", { number: 2, foo: "bar" }
+    )
+
+    const { data } = await repo.getData(mergeCommitHash, "rootFile", false)
+    expect(data).toEqual({ foo: "changed", number: 2 })
+  })
+
+  test("merge parallel changes of the same array with union strategy", async () => {
+    repo = new Repo(repo.uri, createTempDir(), { arrayMergeStrategy: "union" })
+    await repo.init()
+
+    const baseCommitHash = await repo.replaceFile(
+      masterCommitHash, "master", "rootFile", "test", { list: ["a", "b"] }
+    )
+
+    await repo.replaceFile(
+      baseCommitHash, "master", "rootFile", "test", { list: ["a", "b", "c"] }
+    )
+    const mergeCommitHash = await repo.replaceFile(
+      baseCommitHash, "master", "rootFile", "test", { list: ["b", "d"] }
+    )
+
+    const { data } = await repo.getData(mergeCommitHash, "rootFile", false)
+    expect(data).toEqual({ list: ["b", "c", "d"] })
+  })
+
   test("return merge conflict error", async () => {
-    expect.assertions(1)
+    expect.assertions(4)
 
     const files1 = {
       "rootFile": { foo: "change1" },
       "dir/nestedFile1": { foo: "bar" }
     }
-    await repo.replaceDirectory(masterCommitHash, "master", "", "test", files1)
+    const headCommitHash =
+      await repo.replaceDirectory(masterCommitHash, "master", "", "test", files1)
 
     const files2 = {
       "rootFile": { foo: "change2" },
@@ -135,21 +233,61 @@ describe("replace Data", () => {
 
     return repo.replaceDirectory(masterCommitHash, "master", "", "test", files2)
       .catch(e => {
-        expect(e.message).toBe(
-          `Merge conflict
-
-rootFile.json
-
-{
-<<<<<<< ours
-  "foo": "change1"
-=======
-  "foo": "change2"
->>>>>>> theirs
-}`)
+        expect(e.message).toBe("Merge conflict")
+        expect(e.httpCode).toBe(409)
+        expect(e.commitHash).toBe(headCommitHash)
+        expect(e.conflicts).toEqual([{
+          file: "rootFile",
+          path: "/foo",
+          base: "bar",
+          ours: "change1",
+          theirs: "change2"
+        }])
       })
   })
 
+  test("replace file with expected version matching the update branch", async () => {
+    const content = { foo: "baz" }
+
+    const newCommitHash = await repo.replaceFile(
+      masterCommitHash, "master", "rootFile", "test", content, { expectedVersion: masterCommitHash }
+    )
+    const { data } = await repo.getData(newCommitHash, "rootFile", false)
+
+    expect(data).toEqual(content)
+  })
+
+  test("return error with status 412 if update branch moved past expected version", async () => {
+    expect.assertions(3)
+
+    const headCommitHash =
+      await repo.replaceFile(masterCommitHash, "master", "rootFile", "test", { foo: "change1" })
+
+    return repo.replaceFile(
+      masterCommitHash,
+      "master",
+      "dir/nestedFile1",
+      "test",
+      { foo: "change2" },
+      { expectedVersion: masterCommitHash }
+    ).catch(e => {
+      expect(e.httpCode).toBe(412)
+      expect(e.commitHash).toBe(headCommitHash)
+      expect(e.message).toBe(`Update branch has moved past '${masterCommitHash}'`)
+    })
+  })
+
+  test("return error with status 412 for unknown expected version", async () => {
+    expect.assertions(2)
+
+    return repo.replaceFile(
+      masterCommitHash, "master", "rootFile", "test", { foo: "baz" }, { expectedVersion: "unknown" }
+    ).catch(e => {
+      expect(e.httpCode).toBe(412)
+      expect(e.commitHash).toBe(masterCommitHash)
+    })
+  })
+
   test("replace files on master parent with undefined update branch", async () => {
     const files = {
       nestedFile1: { foo: "bar" },
@@ -0,0 +1,146 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Revert", () => {
+  let repo
+  let originRepoDir
+  let initialCommitHash
+  let nestedFile1CommitHash
+  let nestedFile2CommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    initialCommitHash = commit("dir/nestedFile1.json", { foo: "bar" })
+    nestedFile1CommitHash = commit("dir/nestedFile1.json", { foo: "baz" })
+    nestedFile2CommitHash = commit("dir/nestedFile2.json", { foo: "bar" })
+    commit("rootFile.json", { foo: "baz" })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  async function getCommitMessage(commitHash) {
+    const commit = await repo.repo.getCommit(commitHash)
+    return commit.message()
+  }
+
+  describe("Restore", () => {
+    test("restores a directory to an older version", async () => {
+      const newCommitHash = await repo.restorePath("master", "dir", "test", initialCommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "baz" },
+        "dir/nestedFile1": { foo: "bar" }
+      })
+      expect(await getCommitMessage(newCommitHash))
+        .toBe(`Restore 'dir' to ${initialCommitHash}`)
+    })
+
+    test("restores a file to an older version", async () => {
+      await repo.restorePath("master", "dir/nestedFile1", "test", initialCommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "baz" },
+        "dir/nestedFile1": { foo: "bar" },
+        "dir/nestedFile2": { foo: "bar" }
+      })
+    })
+
+    test("restores the whole repo to an older version", async () => {
+      await repo.restorePath("master", "", "test", initialCommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "bar" },
+        "dir/nestedFile1": { foo: "bar" }
+      })
+    })
+
+    test("removes files added after the restored version of the whole repo", async () => {
+      await repo.replaceFile("master", "master", "newDir/newFile", "test", { foo: "bar" })
+      await repo.replaceFile("master", "master", "newFile", "test", { foo: "bar" })
+
+      await repo.restorePath("master", "", "test", initialCommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "bar" },
+        "dir/nestedFile1": { foo: "bar" }
+      })
+    })
+  })
+
+  describe("Revert", () => {
+    test("reverts a commit", async () => {
+      const newCommitHash = await repo.revertCommit("master", "", "test", nestedFile1CommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "baz" },
+        "dir/nestedFile1": { foo: "bar" },
+        "dir/nestedFile2": { foo: "bar" }
+      })
+      expect(await getCommitMessage(newCommitHash)).toBe(
+        `Revert "Add dir/nestedFile1.json"\n\nThis reverts commit ${nestedFile1CommitHash}.`
+      )
+    })
+
+    test("reverts a commit adding a file", async () => {
+      await repo.revertCommit("master", "", "test", nestedFile2CommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "baz" },
+        "dir/nestedFile1": { foo: "baz" }
+      })
+    })
+
+    test("reverts a commit within a path only", async () => {
+      const mixedCommitHash = await repo.replaceDirectory("master", "master", "", "test", {
+        "rootFile": { foo: "changed" },
+        "dir/nestedFile1": { foo: "changed" },
+        "dir/nestedFile2": { foo: "bar" }
+      })
+
+      await repo.revertCommit("master", "dir", "test", mixedCommitHash)
+      const { data } = await repo.getData("master", "", true)
+
+      expect(data).toEqual({
+        "rootFile": { foo: "changed" },
+        "dir/nestedFile1": { foo: "baz" },
+        "dir/nestedFile2": { foo: "bar" }
+      })
+    })
+
+    test("returns error with status 409 for conflicting revert", async () => {
+      expect.assertions(2)
+
+      await repo.replaceFile("master", "master", "dir/nestedFile1", "test", { foo: "changed" })
+
+      return repo.revertCommit("master", "", "test", nestedFile1CommitHash)
+        .catch(e => {
+          expect(e.httpCode).toBe(409)
+          expect(e.conflicts).toEqual([{
+            file: "dir/nestedFile1",
+            path: "/foo",
+            base: "baz",
+            ours: "changed",
+            theirs: "bar"
+          }])
+        })
+    })
+  })
+})
@@ -0,0 +1,108 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createOriginRepo, createTempDir } = require("./helpers")
+
+const schema = {
+  type: "object",
+  properties: {
+    max: { type: "number" }
+  }
+}
+
+describe("Validate Data", () => {
+  let repo
+  let originRepoDir
+  let masterCommitHash
+  let invalidCommitHash
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    commit("dir/nestedFile1.json", { max: 10 })
+    masterCommitHash = commit("dir/nestedFile1.schema.json", schema)
+    git("push", "origin", "master")
+
+    git("branch", "invalid")
+    git("checkout", "invalid")
+    invalidCommitHash = commit("dir/nestedFile1.json", { max: "ten" })
+    git("push", "origin", "invalid")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+  })
+
+  test("does not return schemas as data", async () => {
+    const { data } = await repo.getData("master", "", true)
+
+    expect(data).toEqual({
+      "rootFile": { foo: "bar" },
+      "dir/nestedFile1": { max: 10 }
+    })
+  })
+
+  test("returns no errors for valid data", async () => {
+    const { commitHash, errors } = await repo.validateData("master", "")
+
+    expect(commitHash).toBe(masterCommitHash)
+    expect(errors).toEqual([])
+  })
+
+  test("returns errors for invalid data", async () => {
+    const { commitHash, errors } = await repo.validateData("invalid", "dir")
+
+    expect(commitHash).toBe(invalidCommitHash)
+    expect(errors).toEqual([
+      { file: "dir/nestedFile1", path: "/max", message: "should be number" }
+    ])
+  })
+
+  test("returns errors for a JSON node of invalid data", async () => {
+    const { errors } = await repo.validateData("invalid", "dir/nestedFile1/max")
+
+    expect(errors).toHaveLength(1)
+  })
+
+  test("returns error with status 404 for non-existing path", async () => {
+    expect.assertions(1)
+
+    return repo.validateData("master", "doesnotexist")
+      .catch(e => expect(e.httpCode).toBe(404))
+  })
+
+  test("replaces file with valid data", async () => {
+    const newCommitHash =
+      await repo.replaceFile("master", "master", "dir/nestedFile1", "test", { max: 20 })
+    const { data } = await repo.getData(newCommitHash, "dir/nestedFile1", false)
+
+    expect(data).toEqual({ max: 20 })
+  })
+
+  test("returns error with status 422 for invalid data", async () => {
+    expect.assertions(3)
+
+    return repo.replaceFile("master", "master", "dir/nestedFile1", "test", { max: "ten" })
+      .catch(e => {
+        expect(e.httpCode).toBe(422)
+        expect(e.message).toBe("Validation failed")
+        expect(e.validationErrors).toEqual([
+          { file: "dir/nestedFile1", path: "/max", message: "should be number" }
+        ])
+      })
+  })
+
+  test("keeps schemas when replacing a directory", async () => {
+    await repo.replaceDirectory("master", "master", "dir", "test", { nestedFile1: { max: 1 } })
+
+    expect.assertions(1)
+    return repo.replaceFile("master", "master", "dir/nestedFile1", "test", { max: "ten" })
+      .catch(e => expect(e.httpCode).toBe(422))
+  })
+})
@@ -0,0 +1,75 @@
+const Repo = require("../src/repo")
+
+const { createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Variables", () => {
+  let originRepoDir
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("env/production.json", { port: 443 })
+    commit("config.json", { url: "https://${host}:${port}/", port: "${port}" })
+    git("push", "origin", "master")
+  })
+
+  async function createRepo(variables) {
+    const repo = new Repo(originRepoDir, createTempDir(), { variables })
+    await repo.init()
+    return repo
+  }
+
+  test("returns raw data without variables", async () => {
+    const repo = await createRepo()
+    const { data, variables } = await repo.getData("master", "config", false)
+
+    expect(data).toEqual({ url: "https://${host}:${port}/", port: "${port}" })
+    expect(variables).toBeUndefined()
+  })
+
+  test("substitutes configured variables", async () => {
+    const repo = await createRepo({ host: "example.com", port: 8443 })
+    const { data, variables } = await repo.getData("master", "config", false)
+
+    expect(data).toEqual({ url: "https://example.com:8443/", port: 8443 })
+    expect(variables).toEqual({ host: "example.com", port: 8443 })
+  })
+
+  test("overrides configured variables with the environment", async () => {
+    const repo = await createRepo({ host: "example.com", port: 8443 })
+    const { data } = await repo.getData("master", "config", false, { environment: "production" })
+
+    expect(data).toEqual({ url: "https://example.com:443/", port: 443 })
+  })
+
+  test("leaves undefined variables unchanged", async () => {
+    const repo = await createRepo()
+    const { data } = await repo.getData("master", "config", false, { environment: "production" })
+
+    expect(data).toEqual({ url: "https://${host}:443/", port: 443 })
+  })
+
+  test("returns error with status 422 for undefined variables in strict mode", async () => {
+    expect.assertions(2)
+    const repo = await createRepo()
+
+    return repo.getData("master", "config", false, {
+      environment: "production",
+      strictVariables: true
+    })
+      .catch(e => {
+        expect(e.httpCode).toBe(422)
+        expect(e.undefinedVariables).toEqual(["host"])
+      })
+  })
+
+  test("returns error with status 404 for missing environments", async () => {
+    expect.assertions(1)
+    const repo = await createRepo()
+
+    return repo.getData("master", "config", false, { environment: "staging" })
+      .catch(e => expect(e.httpCode).toBe(404))
+  })
+})
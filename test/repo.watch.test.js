@@ -0,0 +1,81 @@
+const Repo = require("../src/repo")
+
+const { copyAll, createGitFunctions, createOriginRepo, createTempDir } = require("./helpers")
+
+describe("Watch", () => {
+  let repo
+  let originRepoDir
+  let masterCommitHash
+  let changes
+
+  beforeAll(async () => {
+    const origin = createOriginRepo()
+    originRepoDir = origin.dir
+    const { git, commit } = origin
+
+    commit("rootFile.json", { foo: "bar" })
+    masterCommitHash = commit("dir/nestedFile.json", { foo: "bar" })
+    git("push", "origin", "master")
+  })
+
+  beforeEach(async () => {
+    const originRepoDirCopy = createTempDir()
+    await copyAll(originRepoDir, originRepoDirCopy)
+
+    repo = new Repo(originRepoDirCopy, createTempDir())
+    await repo.init()
+
+    changes = []
+    repo.on("change", change => changes.push(change))
+  })
+
+  test("emits change for own commits", async () => {
+    const newCommitHash =
+      await repo.replaceFile("master", "master", "dir/nestedFile", "test", { foo: "baz" })
+
+    expect(changes).toEqual([{
+      branch: "master",
+      commitHash: newCommitHash,
+      previousCommitHash: masterCommitHash,
+      author: { name: "test", email: expect.any(String) },
+      paths: ["dir/nestedFile"]
+    }])
+  })
+
+  test("emits change for new branches", async () => {
+    await repo.createBranch("feature", "master")
+
+    expect(changes).toEqual([{
+      branch: "feature",
+      commitHash: masterCommitHash,
+      previousCommitHash: undefined,
+      author: { name: expect.any(String), email: expect.any(String) },
+      paths: ["dir/nestedFile", "rootFile"]
+    }])
+  })
+
+  test("emits change for upstream commits on fetch", async () => {
+    const helperRepoCopyDir = createTempDir()
+    const { git, commit } = createGitFunctions(helperRepoCopyDir)
+    git("clone", repo.uri, helperRepoCopyDir)
+    const newCommitHash = commit("newFile.json", { foo: "bar" })
+    git("push", "origin", "master")
+
+    await repo.fetch()
+
+    expect(changes).toEqual([{
+      branch: "master",
+      commitHash: newCommitHash,
+      previousCommitHash: masterCommitHash,
+      author: { name: expect.any(String), email: expect.any(String) },
+      paths: ["newFile"]
+    }])
+  })
+
+  test("emits no change without new commits", async () => {
+    await repo.fetch()
+    await repo.replaceFile("master", "master", "rootFile", "test", { foo: "bar" })
+
+    expect(changes).toEqual([])
+  })
+})
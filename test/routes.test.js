@@ -0,0 +1,357 @@
+const bodyParser = require("body-parser")
+const EventEmitter = require("events")
+const express = require("express")
+const http = require("http")
+
+const Acl = require("../src/acl")
+const routes = require("../src/routes")
+
+const log = { info: () => {}, error: () => {} }
+
+const commitHash = "1111111111111111111111111111111111111111"
+const newCommitHash = "2222222222222222222222222222222222222222"
+
+describe("Routes", () => {
+  let repo
+  let server
+
+  function listen(acl = null) {
+    const app = express()
+    app.use(bodyParser.json({ type: ["application/json", "application/*+json"] }))
+    app.use((request, response, next) => {
+      Object.assign(response.locals, { identity: { id: "editor" } })
+      next()
+    })
+    app.use("/", routes(repo, log, acl))
+
+    return new Promise(resolve => { server = app.listen(0, resolve) })
+  }
+
+  beforeEach(() => {
+    repo = Object.assign(new EventEmitter(), {
+      applyOperations: jest.fn(async () => newCommitHash),
+      deleteData: jest.fn(async () => newCommitHash),
+      getCommitHash: jest.fn(async () => commitHash),
+      getData: jest.fn(async () => ({ commitHash, data: { foo: "bar" } })),
+      moveData: jest.fn(async () => newCommitHash),
+      patchData: jest.fn(async () => newCommitHash),
+      replaceFile: jest.fn(async () => newCommitHash),
+      revertCommit: jest.fn(async () => newCommitHash)
+    })
+
+    return listen()
+  })
+
+  afterEach(done => server.close(done))
+
+  function send(method, path, { headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({
+        port: server.address().port,
+        method,
+        path,
+        headers: body ? { "Content-Type": "application/json", ...headers } : headers
+      }, response => {
+        let text = ""
+        response.on("data", chunk => { text += chunk })
+        response.on("end", () => resolve({
+          status: response.statusCode,
+          headers: response.headers,
+          body: text ? JSON.parse(text) : undefined
+        }))
+      })
+
+      request.on("error", reject)
+      request.end(body ? JSON.stringify(body) : undefined)
+    })
+  }
+
+  async function waitFor(condition) {
+    while (!condition()) {
+      await new Promise(resolve => setTimeout(resolve, 10))
+    }
+  }
+
+  describe("GET", () => {
+    test("returns data with commit hash and ETag", async () => {
+      const { status, headers, body } = await send("GET", "/master/dir")
+
+      expect(status).toBe(200)
+      expect(body).toEqual({ foo: "bar" })
+      expect(headers["git-commit-hash"]).toBe(commitHash)
+      expect(headers.etag).toMatch(/^".+"$/)
+    })
+
+    test("returns status 304 for a matching If-None-Match header", async () => {
+      const { headers: { etag } } = await send("GET", "/master/dir")
+
+      const { status, body } = await send("GET", "/master/dir", {
+        headers: { "If-None-Match": etag }
+      })
+
+      expect(status).toBe(304)
+      expect(body).toBeUndefined()
+    })
+
+    test("returns a new ETag for a new commit", async () => {
+      const { headers: { etag } } = await send("GET", "/master/dir")
+      repo.getData.mockResolvedValue({ commitHash: newCommitHash, data: { foo: "baz" } })
+
+      const { status, headers, body } = await send("GET", "/master/dir", {
+        headers: { "If-None-Match": etag }
+      })
+
+      expect(status).toBe(200)
+      expect(body).toEqual({ foo: "baz" })
+      expect(headers.etag).not.toBe(etag)
+    })
+
+    test("joins repeated fields", async () => {
+      const { status } = await send("GET", "/master/dir?fields=a&fields=b,c")
+
+      expect(status).toBe(200)
+      expect(repo.getData.mock.calls[0][3].dataQuery.fields).toEqual(["a", "b", "c"])
+    })
+
+    test("returns status 400 for repeated queries", async () => {
+      const { status } = await send("GET", "/master/dir?query=a&query=b")
+
+      expect(status).toBe(400)
+      expect(repo.getData).not.toHaveBeenCalled()
+    })
+
+    test("marks responses for commit hashes as immutable", async () => {
+      const { headers } = await send("GET", `/${commitHash}/dir`)
+
+      expect(headers["cache-control"]).toBe("public, max-age=31536000, immutable")
+    })
+
+    test("returns new ETags without immutability for changed variables", async () => {
+      const result = { commitHash, data: { host: "a.example.com" }, variables: { host: "a" } }
+      repo.getData.mockResolvedValue(result)
+      const first = await send("GET", `/${commitHash}/dir`)
+      repo.getData.mockResolvedValue({ ...result, variables: { host: "b" } })
+
+      const second = await send("GET", `/${commitHash}/dir`, {
+        headers: { "If-None-Match": first.headers.etag }
+      })
+
+      expect(first.headers["cache-control"]).toBeUndefined()
+      expect(second.status).toBe(200)
+      expect(second.headers.etag).not.toBe(first.headers.etag)
+    })
+
+    test("varies by Accept-Encoding", async () => {
+      const { headers } = await send("GET", "/master/dir")
+
+      expect(headers.vary).toBe("Accept-Encoding")
+    })
+
+    test("aborts responses failing after the headers were sent", async () => {
+      const failing = { toJSON: () => { throw new Error("Serialization failed") } }
+      repo.getData.mockResolvedValue({ commitHash, data: ["x".repeat(70000), failing] })
+
+      const complete = await new Promise(resolve => {
+        http.get({ port: server.address().port, path: "/master/dir" }, response => {
+          response.resume()
+          response.on("close", () => resolve(response.complete))
+        })
+      })
+
+      expect(complete).toBe(false)
+    })
+
+    test("returns different ETags for different paths", async () => {
+      const { headers: { etag } } = await send("GET", "/master/dir")
+      const { headers } = await send("GET", "/master/other")
+
+      expect(headers.etag).not.toBe(etag)
+    })
+  })
+
+  describe("If-Match", () => {
+    function putWithIfMatch(ifMatch) {
+      return send("PUT", "/master/dir/file", {
+        headers: { "If-Match": ifMatch },
+        body: { fileContent: { foo: "baz" } }
+      })
+    }
+
+    function getExpectedVersion() {
+      return repo.replaceFile.mock.calls[0][5].expectedVersion
+    }
+
+    test("expects the commit of an ETag returned by GET", async () => {
+      const { headers: { etag } } = await send("GET", "/master/dir/file")
+
+      const { status } = await putWithIfMatch(etag)
+
+      expect(status).toBe(200)
+      expect(getExpectedVersion()).toBe(commitHash)
+    })
+
+    test("expects a commit hash", async () => {
+      await putWithIfMatch(`"${commitHash}"`)
+
+      expect(getExpectedVersion()).toBe(commitHash)
+    })
+
+    test("expects no version for '*'", async () => {
+      await putWithIfMatch("*")
+
+      expect(getExpectedVersion()).toBeUndefined()
+    })
+  })
+
+  describe("paths", () => {
+    test("returns status 400 for paths outside of the repo", async () => {
+      const { status } = await send("PUT", "/master/dir%2F..%2F..%2Fetc", {
+        body: { fileContent: { foo: "bar" } }
+      })
+
+      expect(status).toBe(400)
+      expect(repo.replaceFile).not.toHaveBeenCalled()
+    })
+
+    test("returns status 400 for moves outside of the repo", async () => {
+      const { status } = await send("POST", "/master/dir/_move", {
+        body: { to: "dir/../../other" }
+      })
+
+      expect(status).toBe(400)
+      expect(repo.moveData).not.toHaveBeenCalled()
+    })
+
+    test("returns status 400 for batch operations outside of the repo", async () => {
+      const { status } = await send("POST", "/master/_batch", {
+        body: { operations: [{ op: "delete", path: "../../etc" }] }
+      })
+
+      expect(status).toBe(400)
+      expect(repo.applyOperations).not.toHaveBeenCalled()
+    })
+
+    test("returns status 400 for absolute batch operation paths", async () => {
+      const { status } = await send("POST", "/master/_batch", {
+        body: { operations: [{ op: "move", path: "dir", to: "/tmp/dir" }] }
+      })
+
+      expect(status).toBe(400)
+      expect(repo.applyOperations).not.toHaveBeenCalled()
+    })
+  })
+
+  describe("watch", () => {
+    function watch() {
+      const request = http.request({ port: server.address().port, path: "/master/watch" })
+      request.on("error", () => {})
+      request.end()
+      return request
+    }
+
+    test("removes the change listener when the client disconnects", async () => {
+      const request = watch()
+      await new Promise(resolve => request.on("response", resolve))
+      expect(repo.listenerCount("change")).toBe(1)
+
+      request.destroy()
+      await waitFor(() => repo.listenerCount("change") === 0)
+    })
+
+    test("removes the change listener when the client disconnects early", async () => {
+      let resolveCommitHash
+      repo.getCommitHash.mockReturnValue(new Promise(resolve => { resolveCommitHash = resolve }))
+      const request = watch()
+      await waitFor(() => repo.getCommitHash.mock.calls.length > 0)
+
+      request.destroy()
+      await waitFor(() => repo.listenerCount("change") === 0)
+      resolveCommitHash(commitHash)
+      await new Promise(resolve => setImmediate(resolve))
+
+      expect(repo.listenerCount("change")).toBe(0)
+    })
+  })
+
+  describe("ACL", () => {
+    beforeEach(async () => {
+      await new Promise(resolve => server.close(resolve))
+      await listen(new Acl([
+        {
+          identities: ["editor"],
+          paths: ["dir", "dir/**", "overlays/siteA/dir", "overlays/siteA/dir/**"],
+          permissions: ["read"]
+        },
+        { identities: ["editor"], branches: ["feature/*"], permissions: ["write"] }
+      ]))
+    })
+
+    test("checks reads", async () => {
+      const allowed = await send("GET", "/master/dir")
+      const denied = await send("GET", "/master/other")
+      const deniedHistory = await send("GET", "/master/other?history")
+
+      expect([allowed.status, denied.status, deniedHistory.status]).toEqual([200, 403, 403])
+    })
+
+    test("checks reads of overlays", async () => {
+      const allowed = await send("GET", "/master/dir?overlay=siteA")
+      const denied = await send("GET", "/master/dir?overlay=siteB")
+
+      expect([allowed.status, denied.status]).toEqual([200, 403])
+    })
+
+    test("checks reads of reference targets", async () => {
+      await send("GET", "/master/dir?resolveRefs=true")
+      const { checkReference } = repo.getData.mock.calls[0][3]
+
+      expect(() => checkReference("dir/file")).not.toThrow()
+      expect(() => checkReference("other")).toThrow(expect.objectContaining({ httpCode: 403 }))
+    })
+
+    test("checks watches", async () => {
+      const { status } = await send("GET", "/master/other/watch")
+
+      expect(status).toBe(403)
+      expect(repo.listenerCount("change")).toBe(0)
+    })
+
+    test("allows writes to a permitted update branch", async () => {
+      const { status } = await send("PATCH", "/master/dir?updateBranch=feature%2Fa", {
+        headers: { "Content-Type": "application/merge-patch+json" },
+        body: { foo: "baz" }
+      })
+
+      expect(status).toBe(200)
+      expect(repo.patchData.mock.calls[0][1]).toBe("feature/a")
+    })
+
+    test("checks merge patches against the branch written to", async () => {
+      const { status } = await send("PATCH", "/master/dir", {
+        headers: { "Content-Type": "application/merge-patch+json" },
+        body: { updateBranch: "feature/a" }
+      })
+
+      expect(status).toBe(403)
+      expect(repo.patchData).not.toHaveBeenCalled()
+    })
+
+    test("checks deletes against the branch written to", async () => {
+      const { status } = await send("DELETE", "/master/dir/file", {
+        body: { updateBranch: "feature/a" }
+      })
+
+      expect(status).toBe(403)
+      expect(repo.deleteData).not.toHaveBeenCalled()
+    })
+
+    test("checks reverts against the branch written to", async () => {
+      const { status } = await send("POST", "/master/revert", {
+        body: { revert: commitHash, updateBranch: "feature/a" }
+      })
+
+      expect(status).toBe(403)
+      expect(repo.revertCommit).not.toHaveBeenCalled()
+    })
+  })
+})
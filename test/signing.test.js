@@ -0,0 +1,40 @@
+const { execFileSync } = require("child_process")
+const fse = require("fs-extra")
+const Path = require("path")
+
+const { createCommitSigner } = require("../src/signing")
+const { createTempDir } = require("./helpers")
+
+describe("Commit Signing", () => {
+  test("signs data with an SSH key", async () => {
+    const dir = createTempDir()
+    const keyPath = Path.join(dir, "key")
+    execFileSync("ssh-keygen", ["-q", "-t", "ed25519", "-N", "", "-C", "test", "-f", keyPath])
+
+    const signature = await createCommitSigner("ssh", keyPath)("data\n")
+    expect(signature).toMatch(/^-----BEGIN SSH SIGNATURE-----/)
+
+    const publicKey = fse.readFileSync(`${keyPath}.pub`, "utf-8")
+    fse.writeFileSync(Path.join(dir, "allowed_signers"), `test ${publicKey}`)
+    fse.writeFileSync(Path.join(dir, "signature"), signature)
+
+    const output = execFileSync("ssh-keygen", [
+      "-Y", "verify",
+      "-f", Path.join(dir, "allowed_signers"),
+      "-I", "test",
+      "-n", "git",
+      "-s", Path.join(dir, "signature")
+    ], { input: "data\n" })
+    expect(output.toString()).toMatch(/Good "git" signature/)
+  })
+
+  test("rejects if signing fails", () => {
+    const signCommit = createCommitSigner("ssh", "/does/not/exist")
+
+    return expect(signCommit("data\n")).rejects.toThrow("Signing commit failed")
+  })
+
+  test("throws for invalid formats", () => {
+    expect(() => createCommitSigner("pgp", "key")).toThrow("Invalid commit signing format: 'pgp'")
+  })
+})
@@ -0,0 +1,64 @@
+const { PassThrough } = require("stream")
+
+const { streamJson } = require("../src/stream")
+
+function createResponse(highWaterMark) {
+  const response = new PassThrough({ highWaterMark })
+  response.headers = {}
+  response.setHeader = (name, value) => { response.headers[name] = value }
+  return response
+}
+
+async function readAll(response) {
+  let text = ""
+  for await (const chunk of response) {
+    text += chunk
+  }
+
+  return text
+}
+
+describe("Stream JSON", () => {
+  test("sends the same JSON as JSON.stringify", async () => {
+    const data = {
+      string: "a \"quoted\" string",
+      number: 1.5,
+      nested: { list: [1, null, undefined, { empty: {} }], missing: undefined, empty: [] },
+      date: new Date(0)
+    }
+    const response = createResponse()
+
+    const [text] = await Promise.all([readAll(response), streamJson(response, data)])
+
+    expect(text).toBe(JSON.stringify(data))
+    expect(response.headers["Content-Type"]).toBe("application/json; charset=utf-8")
+  })
+
+  test("sends primitive values", async () => {
+    const response = createResponse()
+
+    const [text] = await Promise.all([readAll(response), streamJson(response, null)])
+
+    expect(text).toBe("null")
+  })
+
+  test("waits for the response to drain", async () => {
+    const data = Array.from({ length: 10000 }, (value, index) => ({ index, text: "x".repeat(20) }))
+    const response = createResponse(1024)
+
+    const [text] = await Promise.all([readAll(response), streamJson(response, data)])
+
+    expect(JSON.parse(text)).toEqual(data)
+  })
+
+  test("destroys the response if the client disconnects", async () => {
+    const data = Array.from({ length: 10000 }, (value, index) => ({ index, text: "x".repeat(20) }))
+    const response = createResponse(1024)
+
+    const streaming = streamJson(response, data)
+    response.emit("close")
+    await streaming
+
+    expect(response.destroyed).toBe(true)
+  })
+})
@@ -0,0 +1,36 @@
+const { validate } = require("../src/validation")
+
+describe("Validate", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      max: { type: "number" },
+      name: { type: "string" }
+    },
+    required: ["name"]
+  }
+
+  test("returns no errors for valid data", () => {
+    expect(validate(schema, { max: 10, name: "foo" })).toEqual([])
+  })
+
+  test("returns all errors for invalid data", () => {
+    expect(validate(schema, { max: "ten" })).toEqual([
+      { path: "/max", message: "should be number" },
+      { path: "", message: "should have required property 'name'" }
+    ])
+  })
+
+  test("supports boolean schemas", () => {
+    expect(validate(false, {})).toEqual([{ path: "", message: "boolean schema is false" }])
+  })
+
+  test("supports different schemas with the same id", () => {
+    expect(validate({ $id: "id", type: "string" }, "foo")).toEqual([])
+    expect(validate({ $id: "id", type: "number" }, 1)).toEqual([])
+  })
+
+  test("returns error for invalid schema", () => {
+    expect(() => validate({ type: "invalid" }, {})).toThrow(/^Invalid schema: /)
+  })
+})
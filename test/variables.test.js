@@ -0,0 +1,62 @@
+const { readPrefixedVariables, substituteVariables } = require("../src/variables")
+
+describe("Variables", () => {
+  test("reads prefixed environment variables", () => {
+    const env = { APP_HOST: "example.com", APP_PORT: "8080", APP_: "ignored", PATH: "/bin" }
+
+    expect(readPrefixedVariables(env, "APP_")).toEqual({ HOST: "example.com", PORT: 8080 })
+  })
+
+  test("substitutes variables by value", () => {
+    const data = {
+      host: "${host}",
+      port: "${port}",
+      flags: ["${debug}", "${ports}"]
+    }
+    const variables = { host: "example.com", port: 8080, debug: true, ports: [80, 443] }
+
+    expect(substituteVariables(data, variables)).toEqual({
+      host: "example.com",
+      port: 8080,
+      flags: [true, [80, 443]]
+    })
+  })
+
+  test("inserts variables into text", () => {
+    const data = { url: "http://${host}:${port}/", keys: "${keys}!" }
+    const variables = { host: "example.com", port: 8080, keys: ["a"] }
+
+    expect(substituteVariables(data, variables)).toEqual({
+      url: "http://example.com:8080/",
+      keys: "[\"a\"]!"
+    })
+  })
+
+  test("does not modify the data", () => {
+    const data = { host: "${host}" }
+    substituteVariables(data, { host: "example.com" })
+
+    expect(data).toEqual({ host: "${host}" })
+  })
+
+  test("leaves undefined variables unchanged", () => {
+    const data = { url: "http://${host}:${port}/", other: "${host}", toString: "${toString}" }
+
+    expect(substituteVariables(data, { port: 8080 })).toEqual({
+      url: "http://${host}:8080/",
+      other: "${host}",
+      toString: "${toString}"
+    })
+  })
+
+  test("throws error with status 422 listing all undefined variables in strict mode", () => {
+    const data = { url: "http://${host}:${port}/", other: "${host}", toString: "${toString}" }
+
+    expect(() => substituteVariables(data, { port: 8080 }, { strict: true }))
+      .toThrow(expect.objectContaining({
+        httpCode: 422,
+        message: "Undefined variables: host, toString",
+        undefinedVariables: ["host", "toString"]
+      }))
+  })
+})
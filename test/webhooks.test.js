@@ -0,0 +1,155 @@
+const crypto = require("crypto")
+const fse = require("fs-extra")
+const http = require("http")
+const Path = require("path")
+
+const Webhooks = require("../src/webhooks")
+const { createTempDir } = require("./helpers")
+
+describe("Webhooks", () => {
+  let server
+  let url
+  let requests
+  let statusCodes
+  let deliveryLogPath
+  let log
+
+  const change = {
+    branch: "master",
+    commitHash: "abc",
+    previousCommitHash: "def",
+    author: { name: "jane", email: "jane@example.com" },
+    paths: ["dir/nestedFile", "rootFile"]
+  }
+
+  beforeAll(done => {
+    server = http.createServer((request, response) => {
+      let body = ""
+      request.on("data", chunk => { body += chunk })
+      request.on("end", () => {
+        requests.push({ headers: request.headers, body })
+        response.writeHead(statusCodes.shift() || 200)
+        response.end()
+      })
+    })
+
+    server.listen(0, "127.0.0.1", () => {
+      url = `http://127.0.0.1:${server.address().port}/hook`
+      done()
+    })
+  })
+
+  afterAll(done => server.close(done))
+
+  beforeEach(() => {
+    requests = []
+    statusCodes = []
+    deliveryLogPath = Path.join(createTempDir(), "deliveries.log")
+    log = { error: jest.fn() }
+  })
+
+  function createWebhooks(webhooks) {
+    return new Webhooks(webhooks, { log, deliveryLogPath, retryDelay: 1 })
+  }
+
+  function readDeliveryLog() {
+    return fse.readFileSync(deliveryLogPath, "utf-8")
+      .trim()
+      .split("\n")
+      .map(line => JSON.parse(line))
+  }
+
+  test("posts changes", async () => {
+    await createWebhooks([{ url }]).handleChange(change)
+
+    expect(requests).toHaveLength(1)
+    expect(JSON.parse(requests[0].body)).toEqual(change)
+    expect(requests[0].headers["content-type"]).toBe("application/json")
+  })
+
+  test("signs the payload", async () => {
+    await createWebhooks([{ url, secret: "secret" }]).handleChange(change)
+
+    const [{ headers, body }] = requests
+    const signature = crypto.createHmac("sha256", "secret").update(body).digest("hex")
+    expect(headers["git-json-api-signature"]).toBe(`sha256=${signature}`)
+  })
+
+  test("filters by branch", async () => {
+    const webhooks = createWebhooks([{ url, branches: ["release/*"] }])
+
+    await webhooks.handleChange(change)
+    await webhooks.handleChange({ ...change, branch: "release/1.0" })
+
+    expect(requests).toHaveLength(1)
+    expect(JSON.parse(requests[0].body).branch).toBe("release/1.0")
+  })
+
+  test("filters by path", async () => {
+    const webhooks = createWebhooks([{ url, paths: ["dir/**"] }])
+
+    await webhooks.handleChange(change)
+    await webhooks.handleChange({ ...change, paths: ["rootFile"] })
+
+    expect(requests).toHaveLength(1)
+    expect(JSON.parse(requests[0].body).paths).toEqual(["dir/nestedFile"])
+  })
+
+  test("retries failed deliveries", async () => {
+    statusCodes = [500, 503]
+
+    const results = await createWebhooks([{ url }]).handleChange(change)
+
+    expect(results).toEqual([true])
+    expect(requests).toHaveLength(3)
+    expect(new Set(requests.map(({ headers }) => headers["git-json-api-delivery"])).size)
+      .toBe(1)
+  })
+
+  test("gives up after the maximum attempts", async () => {
+    statusCodes = [500, 500, 500, 500, 500]
+
+    const results = await createWebhooks([{ url }]).handleChange(change)
+
+    expect(results).toEqual([false])
+    expect(requests).toHaveLength(5)
+    expect(log.error).toHaveBeenCalled()
+  })
+
+  test("logs delivery attempts", async () => {
+    statusCodes = [500]
+
+    await createWebhooks([{ url }]).handleChange(change)
+
+    expect(readDeliveryLog()).toEqual([
+      expect.objectContaining({ url, commitHash: "abc", attempt: 1, status: 500 }),
+      expect.objectContaining({ url, commitHash: "abc", attempt: 2, status: 200 })
+    ])
+  })
+
+  test("logs connection errors", async () => {
+    const webhooks = new Webhooks(
+      [{ url: "http://127.0.0.1:1/hook" }],
+      { log, deliveryLogPath, maxAttempts: 1 }
+    )
+
+    const results = await webhooks.handleChange(change)
+
+    expect(results).toEqual([false])
+    expect(readDeliveryLog()).toEqual([
+      expect.objectContaining({ attempt: 1, error: expect.any(String) })
+    ])
+  })
+
+  test("throws for missing URL", () => {
+    expect(() => createWebhooks([{ secret: "secret" }])).toThrow("Missing 'url' in webhook 0")
+  })
+
+  test("throws for invalid configurations", () => {
+    expect(() => createWebhooks({ url })).toThrow("Webhooks must be an array")
+    expect(() => createWebhooks([{ url: "ftp://example.com" }])).toThrow("Invalid 'url'")
+    expect(() => createWebhooks([{ url, secret: 1 }])).toThrow("Invalid 'secret'")
+    expect(() => createWebhooks([{ url, branches: "master" }])).toThrow("Invalid 'branches'")
+    expect(() => createWebhooks([{ url, paths: [1] }])).toThrow("Invalid 'paths'")
+  })
+})